@@ -0,0 +1,98 @@
+const { stripAnsi } = require('./journal');
+
+// ── Agent state detection ──
+// Classifies a session from its recent output instead of raw byte rate:
+//   working            — the tool is busy (its busy marker is on screen)
+//   waiting-permission — an approval prompt is on screen
+//   waiting-input      — the tool's input prompt is back; it wants the next instruction
+//   idle               — quiet with nothing recognizable on screen (shells, unknown tools)
+//   errored            — an error banner is on screen, or the tool exited non-zero
+//   exited             — the tool or the whole session has exited cleanly
+
+const STATES = ['working', 'waiting-permission', 'waiting-input', 'idle', 'errored', 'exited'];
+
+// Patterns are matched against ANSI-stripped output. `working` only counts when it
+// appeared in the last RECENT_MS (busy lines are redrawn constantly while busy);
+// the others are matched against everything printed since the user last typed.
+const TOOL_PATTERNS = {
+  claude: {
+    working: [/esc to interrupt/i],
+    permission: [/Do you want to (proceed|make this edit|create|allow|run)/i, /❯\s*1\.\s*Yes/],
+    input: [/\? for shortcuts/i, /│\s*>\s/],
+    error: [/API Error/i, /credit balance is too low/i],
+  },
+  codex: {
+    working: [/esc to interrupt/i],
+    permission: [/Allow command\?/i, /Approve this|approval required/i],
+    input: [/⏎ send/i, /send\s+⌃J newline/i],
+    error: [/stream error/i, /\bERROR\b/],
+  },
+  gemini: {
+    working: [/esc to cancel/i],
+    permission: [/Allow execution/i, /Waiting for user confirmation/i, /Apply this change\?/i],
+    input: [/Type your message/i],
+    error: [/\[API Error/i],
+  },
+};
+
+const RECENT_MS = 1500;
+const HISTORY_MS = 5000;
+const TAIL_CHARS = 2000;
+const BURST_BYTES = 500; // fallback for tools without patterns
+
+function matchesAny(list, text) {
+  return !!list && list.some(re => re.test(text));
+}
+
+function createDetector(toolKey) {
+  const patterns = TOOL_PATTERNS[toolKey] || null;
+  let chunks = []; // { t, bytes, text } received within HISTORY_MS
+  let tail = ''; // cleaned output since the user last typed
+  let exit = null;
+
+  function recent(ms) {
+    const cutoff = Date.now() - ms;
+    let bytes = 0;
+    let text = '';
+    for (const c of chunks) {
+      if (c.t < cutoff) continue;
+      bytes += c.bytes;
+      text += c.text;
+    }
+    return { bytes, text };
+  }
+
+  return {
+    feed(data) {
+      const now = Date.now();
+      const text = stripAnsi(data);
+      chunks.push({ t: now, bytes: data.length, text });
+      while (chunks.length && now - chunks[0].t > HISTORY_MS) chunks.shift();
+      tail = (tail + text).slice(-TAIL_CHARS);
+    },
+
+    // Typing answers prompts and dismisses errors, so stale screens don't linger
+    noteInput() {
+      tail = '';
+    },
+
+    noteExit(exitCode, signal) {
+      exit = { exitCode, signal };
+    },
+
+    getState() {
+      if (exit) return exit.exitCode !== 0 || exit.signal ? 'errored' : 'exited';
+
+      const { bytes, text } = recent(RECENT_MS);
+      if (!patterns) return bytes > BURST_BYTES ? 'working' : 'idle';
+
+      if (matchesAny(patterns.permission, tail)) return 'waiting-permission';
+      if (matchesAny(patterns.working, text)) return 'working';
+      if (matchesAny(patterns.error, tail)) return 'errored';
+      if (matchesAny(patterns.input, tail)) return 'waiting-input';
+      return bytes > BURST_BYTES ? 'working' : 'idle';
+    },
+  };
+}
+
+module.exports = { createDetector, STATES };
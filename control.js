@@ -0,0 +1,148 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ── Local control API ──
+// A small JSON-over-HTTP server on 127.0.0.1 for scripts and editor integrations.
+// The port and a bearer token (new on every start) are written to a file only the user
+// can read; every request must send `Authorization: Bearer <token>`.
+// GET /events is a Server-Sent Events stream of whatever is passed to emit().
+
+const MAX_BODY = 1024 * 1024;
+const HEARTBEAT_INTERVAL = 30000;
+
+let server = null;
+let token = null;
+let infoFile = null;
+let heartbeatId = null;
+const subscribers = new Set();
+
+// Handlers throw this to answer with a specific status
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function authorized(req) {
+  const header = req.headers.authorization || '';
+  const given = Buffer.from(header.replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        reject(httpError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf-8');
+      if (!raw) return resolve({});
+      try {
+        resolve(JSON.parse(raw));
+      } catch (_) {
+        reject(httpError(400, 'Body must be JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function subscribe(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.write(': connected\n\n');
+  subscribers.add(res);
+  req.on('close', () => subscribers.delete(res));
+}
+
+// routes: [{ method, pattern, handler(match, body, query) }] — handlers may be async
+function handleRequest(routes, req, res) {
+  if (!authorized(req)) return send(res, 401, { error: 'Missing or invalid token' });
+
+  const url = new URL(req.url, 'http://127.0.0.1');
+  if (req.method === 'GET' && url.pathname === '/events') return subscribe(req, res);
+
+  let methodMismatch = false;
+  for (const route of routes) {
+    const match = route.pattern.exec(url.pathname);
+    if (!match) continue;
+    if (route.method !== req.method) {
+      methodMismatch = true;
+      continue;
+    }
+    readBody(req)
+      .then(body => route.handler(match, body, url.searchParams))
+      .then(result => send(res, 200, result === undefined ? {} : result))
+      .catch(err => send(res, err.status || 500, { error: err.message }));
+    return;
+  }
+  send(res, methodMismatch ? 405 : 404, { error: methodMismatch ? 'Method not allowed' : 'Not found' });
+}
+
+function start({ file, routes }) {
+  if (server) return Promise.resolve(info());
+  token = crypto.randomBytes(24).toString('hex');
+  infoFile = file;
+  const instance = http.createServer((req, res) => handleRequest(routes, req, res));
+  return new Promise((resolve, reject) => {
+    instance.once('error', reject);
+    instance.listen(0, '127.0.0.1', () => {
+      server = instance;
+      try {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(info(), null, 2) + '\n', { mode: 0o600 });
+      } catch (e) {
+        stop();
+        reject(e);
+        return;
+      }
+      // Comments keep idle event streams from being dropped by proxies and timeouts
+      heartbeatId = setInterval(() => {
+        for (const res of subscribers) res.write(': ping\n\n');
+      }, HEARTBEAT_INTERVAL);
+      resolve(info());
+    });
+  });
+}
+
+function stop() {
+  if (heartbeatId) clearInterval(heartbeatId);
+  heartbeatId = null;
+  for (const res of subscribers) res.end();
+  subscribers.clear();
+  if (server) server.close();
+  server = null;
+  if (infoFile) {
+    try { fs.rmSync(infoFile, { force: true }); } catch (_) {}
+  }
+}
+
+function info() {
+  return server ? { url: `http://127.0.0.1:${server.address().port}`, port: server.address().port, token, pid: process.pid } : null;
+}
+
+function emit(event, data) {
+  const frame = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const res of subscribers) res.write(frame);
+}
+
+module.exports = { start, stop, emit, info, httpError };
@@ -0,0 +1,118 @@
+// ── Cron schedules ──
+// Standard five-field expressions (minute hour day-of-month month day-of-week) in local
+// time, with `*`, lists, ranges and steps, plus the @hourly/@daily/@weekly/@monthly/@yearly
+// shorthands. As in cron, when both day fields are restricted a day matching either runs.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+const SHORTHANDS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+};
+
+const MINUTE_MS = 60 * 1000;
+const SEARCH_YEARS = 5; // an expression like "0 0 30 2 *" never matches
+
+function parseValue(text, field) {
+  const lower = text.toLowerCase();
+  const named = field.names ? field.names.indexOf(lower) : -1;
+  const value = named >= 0 ? named + (field.min === 1 ? 1 : 0) : Number(text);
+  if (!/^\d+$/.test(text) && named < 0) throw new Error(`Invalid ${field.name}: "${text}"`);
+  if (value < field.min || value > field.max) throw new Error(`${field.name} out of range: ${text}`);
+  return value;
+}
+
+// One field → Set of allowed values, plus whether it starts with "*" (so "*/2" counts
+// as unrestricted for the day-of-month/weekday rule, as in Vixie cron)
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step in ${field.name}: "${part}"`);
+    let lo;
+    let hi;
+    if (range === '*') {
+      lo = field.min;
+      hi = field.max;
+    } else if (range.includes('-')) {
+      const [a, b] = range.split('-');
+      lo = parseValue(a, field);
+      hi = parseValue(b, field);
+      if (lo > hi) throw new Error(`Invalid range in ${field.name}: "${range}"`);
+    } else {
+      lo = parseValue(range, field);
+      hi = stepText === undefined ? lo : field.max;
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return { values, any: text.startsWith('*') };
+}
+
+// Throws with a readable message when the expression is invalid
+function parse(expr) {
+  const text = String(expr || '').trim();
+  const parts = (SHORTHANDS[text.toLowerCase()] || text).split(/\s+/);
+  if (parts.length !== 5) throw new Error('Expected 5 fields: minute hour day month weekday');
+  const [minute, hour, dom, month, dow] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  if (dow.values.has(7)) dow.values.add(0); // 7 is Sunday too
+  return { minute, hour, dom, month, dow };
+}
+
+function dayMatches(cron, d) {
+  const dom = cron.dom.values.has(d.getDate());
+  const dow = cron.dow.values.has(d.getDay());
+  // Only when both days are restricted does either one match
+  if (cron.dom.any || cron.dow.any) return dom && dow;
+  return dom || dow;
+}
+
+// First matching minute strictly after `after` (ms), or null if there is none within SEARCH_YEARS
+function next(cron, after) {
+  const d = new Date(after);
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+  const limit = new Date(d).setFullYear(d.getFullYear() + SEARCH_YEARS);
+
+  // Skip whole months, days and hours that can't match instead of stepping minute by minute
+  while (d.getTime() <= limit) {
+    if (!cron.month.values.has(d.getMonth() + 1)) {
+      d.setMonth(d.getMonth() + 1, 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(cron, d)) {
+      d.setDate(d.getDate() + 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (!cron.hour.values.has(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.values.has(d.getMinutes())) {
+      d.setTime(d.getTime() + MINUTE_MS);
+    } else {
+      return d.getTime();
+    }
+  }
+  return null;
+}
+
+// Run times in (from, to], at most `cap` of them
+function between(cron, from, to, cap = 100) {
+  const times = [];
+  let t = next(cron, from);
+  while (t !== null && t <= to && times.length < cap) {
+    times.push(t);
+    t = next(cron, t);
+  }
+  return times;
+}
+
+module.exports = { parse, next, between };
@@ -7,7 +7,10 @@ const JOURNAL_DIR = path.join(os.homedir(), 'Documents', 'journal');
 const BUFFER_MAX_LINES = 400;
 const SUMMARIZE_INTERVAL = 5 * 60 * 1000; // 5 minutes
 
-// Per-terminal ring buffers: id -> { name, collection, lines[] }
+// Per-terminal ring buffers: id -> { name, collection, tool, lines[], recent[] }
+// lines holds output not yet summarized; recent the latest output whether summarized or not.
+// Shell sessions (no tool) only fill recent: their output can hold secrets and never goes
+// to a tool for summarizing.
 const buffers = new Map();
 
 // Strip ANSI escape codes and control chars from terminal output
@@ -20,18 +23,24 @@ function stripAnsi(str) {
     .replace(/[\x00-\x09\x0B-\x1F\x7F]/g, '');
 }
 
-function feed(terminalId, terminalName, collectionName, data) {
+function feed(terminalId, terminalName, collectionName, data, toolKey) {
   if (!buffers.has(terminalId)) {
-    buffers.set(terminalId, { name: terminalName, collection: collectionName || 'unknown', lines: [] });
+    buffers.set(terminalId, { name: terminalName, collection: collectionName || 'unknown', tool: toolKey || null, lines: [], recent: [] });
   }
   const buf = buffers.get(terminalId);
   const clean = stripAnsi(data);
   const newLines = clean.split('\n').filter(l => l.trim().length > 0);
   if (newLines.length === 0) return;
 
-  buf.lines.push(...newLines);
-  if (buf.lines.length > BUFFER_MAX_LINES) {
-    buf.lines = buf.lines.slice(-BUFFER_MAX_LINES);
+  if (buf.tool) {
+    buf.lines.push(...newLines);
+    if (buf.lines.length > BUFFER_MAX_LINES) {
+      buf.lines = buf.lines.slice(-BUFFER_MAX_LINES);
+    }
+  }
+  buf.recent.push(...newLines);
+  if (buf.recent.length > BUFFER_MAX_LINES) {
+    buf.recent = buf.recent.slice(-BUFFER_MAX_LINES);
   }
 }
 
@@ -55,12 +64,22 @@ function hasContent() {
   return false;
 }
 
-function collect() {
-  // Group terminal output by collection (project)
+// Tool keys that own at least one non-empty buffer
+function activeTools() {
+  const tools = new Set();
+  for (const buf of buffers.values()) {
+    if (buf.lines.length > 0) tools.add(buf.tool);
+  }
+  return [...tools];
+}
+
+function collect(toolKey) {
+  // Group terminal output by collection (project), limited to one owning tool
   const byCollection = new Map(); // collection -> [{ name, lines }]
   const snapshotCounts = new Map();
   for (const [id, buf] of buffers) {
     if (buf.lines.length === 0) continue;
+    if (buf.tool !== toolKey) continue;
     // Dedupe consecutive identical lines (common with progress bars etc.)
     const deduped = [];
     let prev = null;
@@ -134,18 +153,51 @@ function callTool(prompt, binary, promptFlag) {
   });
 }
 
+// Today's journal file, created with its date header if new
+function ensureJournalFile(now) {
+  const journalPath = getJournalPath(now);
+  fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+  if (!fs.existsSync(journalPath)) {
+    const dateStr = now.toLocaleDateString('en-US', {
+      weekday: 'long', year: 'numeric', month: 'long', day: 'numeric',
+    });
+    fs.writeFileSync(journalPath, `# ${dateStr}\n\n`);
+  }
+  return journalPath;
+}
+
+// Append a timestamped entry written by the app itself (e.g. scheduled runs), bypassing summarization
+function note(collectionName, bullets) {
+  const now = new Date();
+  const time = now.toLocaleTimeString('en-US', { hour12: true, hour: 'numeric', minute: '2-digit' });
+  const lines = bullets.map(b => `- ${b}`).join('\n');
+  try {
+    fs.appendFileSync(ensureJournalFile(now), `### ${time}\n\n**${collectionName}**\n${lines}\n\n---\n\n`);
+  } catch (err) {
+    console.error('Journal note failed:', err.message);
+  }
+}
+
 let toolConfigGetter = null;
 
 async function summarize() {
   if (!hasContent()) return;
 
-  const tool = toolConfigGetter ? toolConfigGetter() : { binary: 'claude', promptFlag: '-p' };
+  // Each session is summarized by the tool that owns it
+  for (const toolKey of activeTools()) {
+    await summarizeTool(toolKey);
+  }
+}
+
+async function summarizeTool(toolKey) {
+  const tool = toolConfigGetter ? toolConfigGetter(toolKey) : { binary: 'claude', promptFlag: '-p' };
+  const { sections, collections, snapshotCounts } = collect(toolKey);
   if (!tool.promptFlag) {
-    // Tool doesn't support piped prompts — skip summarization
+    // Tool doesn't support piped prompts — drop its output rather than retry every interval
+    clearCollected(snapshotCounts);
     return;
   }
 
-  const { sections, collections, snapshotCounts } = collect();
   if (sections.length === 0) return;
 
   const context = sections.join('\n\n---\n\n');
@@ -164,16 +216,7 @@ ${multiProject ? '- Group bullets under each project using the format: **Project
 Terminal activity:
 ${context}`;
 
-  const journalPath = getJournalPath();
-  fs.mkdirSync(path.dirname(journalPath), { recursive: true });
-
-  // Create file with date header if new
-  if (!fs.existsSync(journalPath)) {
-    const dateStr = now.toLocaleDateString('en-US', {
-      weekday: 'long', year: 'numeric', month: 'long', day: 'numeric',
-    });
-    fs.writeFileSync(journalPath, `# ${dateStr}\n\n`);
-  }
+  const journalPath = ensureJournalFile(now);
 
   try {
     const result = await callTool(prompt, tool.binary, tool.promptFlag);
@@ -212,10 +255,11 @@ function stop() {
   summarize().catch(() => {});
 }
 
-function getBufferLines(terminalId) {
+// Latest output lines, including ones already summarized
+function getBufferLines(terminalId, count = 100) {
   const buf = buffers.get(terminalId);
-  if (!buf || buf.lines.length === 0) return null;
-  return buf.lines.slice(-100);
+  if (!buf || buf.recent.length === 0) return null;
+  return buf.recent.slice(-count);
 }
 
-module.exports = { feed, removeTerminal, start, stop, summarize, getJournalPath, getBufferLines, callTool, JOURNAL_DIR };
+module.exports = { feed, removeTerminal, start, stop, summarize, note, getJournalPath, getBufferLines, callTool, stripAnsi, JOURNAL_DIR };
@@ -1,9 +1,14 @@
-const { app, BrowserWindow, ipcMain, dialog, globalShortcut, Menu, screen, nativeImage } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, globalShortcut, Menu, screen, nativeImage, shell, Notification, safeStorage } = require('electron');
 const path = require('path');
 const os = require('os');
 const fs = require('fs');
 const pty = require('node-pty');
 const journal = require('./journal');
+const agentState = require('./agent-state');
+const usage = require('./usage');
+const cron = require('./cron');
+const control = require('./control');
+const themes = require('./themes');
 
 const IS_WIN = process.platform === 'win32';
 const IS_MAC = process.platform === 'darwin';
@@ -11,7 +16,7 @@ const IS_MAC = process.platform === 'darwin';
 // Set Linux WM_CLASS so desktop environment uses our icon
 if (!IS_WIN && !IS_MAC) app.setName('manifold');
 
-const { execSync, exec } = require('child_process');
+const { execSync, exec, execFile } = require('child_process');
 
 // ── Tool configuration registry ──
 
@@ -46,20 +51,137 @@ const TOOL_CONFIGS = {
   },
 };
 
+// ── User-defined tools ──
+// <userData>/tools.json declares extra tools (or overrides built-in fields):
+//   { "mytool": { "name": "My Tool", "binary": "mytool", "autoApproveFlag": "--yes",
+//                 "resumeArgs": "--resume \"{id}\"", "promptFlag": "-p" } }
+// resumeArgs is appended to the normal command; resumeCmd replaces it entirely.
+
+const TOOLS_FILE = path.join(app.getPath('userData'), 'tools.json');
+const BUILTIN_TOOL_CONFIGS = { ...TOOL_CONFIGS };
+const TOOL_KEY_RE = /^[a-z0-9][a-z0-9_-]*$/i;
+const USER_TOOL_FIELDS = {
+  name: 'string',
+  binary: 'string',
+  installCmd: 'string',
+  autoApproveFlag: 'string',
+  resumeArgs: 'string',
+  resumeCmd: 'string',
+  promptFlag: 'string',
+  conversationTracking: 'boolean',
+};
+
+const TOOLS_FILE_TEMPLATE = {
+  aider: {
+    name: 'Aider',
+    binary: 'aider',
+    installCmd: 'python3 -m pip install aider-install && aider-install',
+    autoApproveFlag: '--yes-always',
+    resumeArgs: '--restore-chat-history',
+    promptFlag: null,
+    conversationTracking: false,
+  },
+};
+
+let toolConfigErrors = [];
+
+function fillIdTemplate(template) {
+  return (id) => template.replace(/\{id\}/g, id);
+}
+
+// Validate one tools.json entry and convert it into a TOOL_CONFIGS record
+function buildUserTool(key, def, base) {
+  const errors = [];
+  if (!TOOL_KEY_RE.test(key)) errors.push(`"${key}": key must be letters, digits, "-" or "_"`);
+  if (!def || typeof def !== 'object' || Array.isArray(def)) {
+    return { errors: [`"${key}": definition must be an object`] };
+  }
+  for (const [field, value] of Object.entries(def)) {
+    const type = USER_TOOL_FIELDS[field];
+    if (!type) errors.push(`"${key}": unknown field "${field}"`);
+    else if (value !== null && typeof value !== type) errors.push(`"${key}": "${field}" must be a ${type}`);
+  }
+  if (!base && !def.binary) errors.push(`"${key}": "binary" is required`);
+  if (def.binary && /\s/.test(def.binary)) errors.push(`"${key}": "binary" must be a single executable name`);
+  if (typeof def.resumeCmd === 'string' && !def.resumeCmd.includes('{id}')) {
+    errors.push(`"${key}": "resumeCmd" must contain {id}`);
+  }
+  if (errors.length) return { errors };
+
+  const tool = {
+    name: def.name || (base ? base.name : key),
+    binary: def.binary || base.binary,
+    installCmd: def.installCmd !== undefined ? def.installCmd : (base ? base.installCmd : null),
+    autoApproveFlag: def.autoApproveFlag !== undefined ? (def.autoApproveFlag || '') : (base ? base.autoApproveFlag : ''),
+    buildResumeArgs: base ? base.buildResumeArgs : () => null,
+    buildResumeCmd: base ? base.buildResumeCmd : undefined,
+    promptFlag: def.promptFlag !== undefined ? def.promptFlag : (base ? base.promptFlag : null),
+    conversationTracking: def.conversationTracking !== undefined ? def.conversationTracking : (base ? base.conversationTracking : false),
+    custom: true,
+  };
+  if (typeof def.resumeArgs === 'string') tool.buildResumeArgs = fillIdTemplate(def.resumeArgs);
+  if (def.resumeArgs === null) tool.buildResumeArgs = () => null;
+  if (typeof def.resumeCmd === 'string') tool.buildResumeCmd = fillIdTemplate(def.resumeCmd);
+  if (def.resumeCmd === null) tool.buildResumeCmd = undefined;
+  return { tool, errors };
+}
+
+// Rebuild TOOL_CONFIGS from the built-ins plus tools.json. Called on startup and
+// whenever the renderer asks for the tool list, so edits apply without a restart.
+function loadUserTools() {
+  for (const key of Object.keys(TOOL_CONFIGS)) delete TOOL_CONFIGS[key];
+  Object.assign(TOOL_CONFIGS, BUILTIN_TOOL_CONFIGS);
+  toolConfigErrors = [];
+
+  let raw;
+  try {
+    raw = fs.readFileSync(TOOLS_FILE, 'utf-8');
+  } catch (_) {
+    return; // no tools.json — built-ins only
+  }
+
+  let defs;
+  try {
+    defs = JSON.parse(raw);
+  } catch (e) {
+    toolConfigErrors.push(`tools.json is not valid JSON: ${e.message}`);
+    return;
+  }
+  if (!defs || typeof defs !== 'object' || Array.isArray(defs)) {
+    toolConfigErrors.push('tools.json must contain an object of tool definitions');
+    return;
+  }
+
+  for (const [key, def] of Object.entries(defs)) {
+    const { tool, errors } = buildUserTool(key, def, BUILTIN_TOOL_CONFIGS[key]);
+    toolConfigErrors.push(...errors);
+    if (tool) TOOL_CONFIGS[key] = tool;
+  }
+}
+
+// Default tool for new collections; collections and tabs may override it
 let selectedToolKey = null;
 
-function getToolConfig() {
-  return TOOL_CONFIGS[selectedToolKey] || TOOL_CONFIGS.claude;
+function resolveToolKey(toolKey) {
+  if (toolKey && TOOL_CONFIGS[toolKey]) return toolKey;
+  if (selectedToolKey && TOOL_CONFIGS[selectedToolKey]) return selectedToolKey;
+  return 'claude';
+}
+
+function getToolConfig(toolKey) {
+  return TOOL_CONFIGS[resolveToolKey(toolKey)];
 }
 
-function getToolCmd() {
+function getToolCmd(toolKey, autoApprove = true) {
   if (process.env.MANIFOLD_CMD) return process.env.MANIFOLD_CMD;
-  const tool = getToolConfig();
-  return `${tool.binary} ${tool.autoApproveFlag}`;
+  const tool = getToolConfig(toolKey);
+  return autoApprove && tool.autoApproveFlag ? `${tool.binary} ${tool.autoApproveFlag}` : tool.binary;
 }
 
 const STATE_DIR = path.join(app.getPath('userData'), 'state');
 const STATE_FILE = path.join(STATE_DIR, 'state.json');
+const SCROLLBACK_DIR = path.join(STATE_DIR, 'scrollback');
+const SCROLLBACK_MAX_CHARS = 1024 * 1024; // per tab; oldest lines are dropped past this
 
 let mainWindow = null;
 const terminals = new Map();
@@ -67,17 +189,25 @@ const claimedConversations = new Set(); // prevent two terminals from claiming t
 
 // ── Conversation tracking ──
 // Claude stores conversations in ~/.claude/projects/<encoded-path>/<uuid>.jsonl
-// We detect new conversation files after launching Claude to track per-tab IDs.
+// Each project dir is watched while tracked terminals run in it. A new conversation
+// file goes to the terminal in the file's recorded cwd whose Enter press lines up
+// with one of the file's user messages, so tabs started together can't swap IDs.
+
+const CLAUDE_PROJECTS_DIR = path.join(os.homedir(), '.claude', 'projects');
+const CONVO_POLL_INTERVAL = 2000; // fallback while fs.watch can't be attached
+const CONVO_MATCH_WINDOW = 15000; // max delay between a submit and its logged message
+const CONVO_SUBMITS_KEPT = 20;
+const CONVO_SCAN_DELAY = 300; // Claude appends to its file on every message; coalesce the events
+const CONVO_META_CHUNK = 64 * 1024; // bytes read from each end of a conversation file
 
 function getProjectDir(cwd) {
-  // Claude encodes project paths: /home/user → -home-user
-  const encoded = cwd.replace(/\//g, '-');
-  return path.join(os.homedir(), '.claude', 'projects', encoded);
+  // Claude replaces every non-alphanumeric character: /home/me/my.app → -home-me-my-app
+  return path.join(CLAUDE_PROJECTS_DIR, cwd.replace(/[^a-zA-Z0-9]/g, '-'));
 }
 
-function listConversations(projectDir) {
+async function listConversations(projectDir) {
   try {
-    return fs.readdirSync(projectDir)
+    return (await fs.promises.readdir(projectDir))
       .filter(f => f.endsWith('.jsonl'))
       .map(f => f.replace('.jsonl', ''));
   } catch (_) {
@@ -85,8 +215,255 @@ function listConversations(projectDir) {
   }
 }
 
+// projectDir → { known, ready, watcher, poll, scanTimer, scanning, rescan, refs }
+const projectWatches = new Map();
+
+function watchProject(projectDir) {
+  const existing = projectWatches.get(projectDir);
+  if (existing) {
+    existing.refs++;
+    return;
+  }
+  const entry = { known: new Set(), watcher: null, poll: null, scanTimer: null, scanning: null, rescan: false, refs: 1 };
+  // Conversations already on disk belong to no terminal; scans wait for this list
+  entry.ready = listConversations(projectDir).then(ids => { for (const id of ids) entry.known.add(id); });
+  projectWatches.set(projectDir, entry);
+  // The dir only exists after Claude's first conversation in this folder
+  if (!attachWatcher(projectDir, entry)) startPolling(projectDir, entry);
+}
+
+function unwatchProject(projectDir) {
+  const entry = projectWatches.get(projectDir);
+  if (!entry || --entry.refs > 0) return;
+  if (entry.watcher) try { entry.watcher.close(); } catch (_) {}
+  if (entry.poll) clearInterval(entry.poll);
+  clearTimeout(entry.scanTimer);
+  projectWatches.delete(projectDir);
+}
+
+function attachWatcher(projectDir, entry) {
+  try {
+    entry.watcher = fs.watch(projectDir, () => scheduleScan(projectDir, entry));
+  } catch (_) {
+    entry.watcher = null;
+    return false;
+  }
+  entry.watcher.on('error', () => {
+    try { entry.watcher.close(); } catch (_) {}
+    entry.watcher = null;
+    startPolling(projectDir, entry);
+  });
+  return true;
+}
+
+function startPolling(projectDir, entry) {
+  if (entry.poll) return;
+  entry.poll = setInterval(() => {
+    scanProject(projectDir);
+    if (attachWatcher(projectDir, entry)) {
+      clearInterval(entry.poll);
+      entry.poll = null;
+    }
+  }, CONVO_POLL_INTERVAL);
+}
+
+function scheduleScan(projectDir, entry) {
+  clearTimeout(entry.scanTimer);
+  entry.scanTimer = setTimeout(() => {
+    entry.scanTimer = null;
+    scanProject(projectDir);
+  }, CONVO_SCAN_DELAY);
+}
+
+// Text of a conversation file, or just its first and last CONVO_META_CHUNK bytes
+// when it's bigger: the cwd is logged at the start and a fresh submit at the end
+async function readConversationEnds(file) {
+  const handle = await fs.promises.open(file, 'r');
+  try {
+    const { size } = await handle.stat();
+    const readAt = async (position, length) => {
+      const buf = Buffer.alloc(length);
+      const { bytesRead } = await handle.read(buf, 0, length, position);
+      return buf.toString('utf-8', 0, bytesRead);
+    };
+    if (size <= CONVO_META_CHUNK * 2) return await readAt(0, size);
+    // Drop the lines cut in half at either boundary
+    const head = await readAt(0, CONVO_META_CHUNK);
+    const tail = await readAt(size - CONVO_META_CHUNK, CONVO_META_CHUNK);
+    return head.slice(0, head.lastIndexOf('\n')) + tail.slice(tail.indexOf('\n'));
+  } finally {
+    await handle.close();
+  }
+}
+
+// cwd and user message times recorded in a conversation file, or null while
+// the file is still too new to say
+async function readConversationMeta(file) {
+  let raw;
+  try { raw = await readConversationEnds(file); } catch (_) { return null; }
+  let cwd = null;
+  const userTimes = [];
+  for (const line of raw.split('\n')) {
+    if (!line) continue;
+    let entry;
+    try { entry = JSON.parse(line); } catch (_) { continue; }
+    if (!cwd && entry.cwd) cwd = entry.cwd;
+    const t = Date.parse(entry.timestamp);
+    if (entry.type === 'user' && t) userTimes.push(t);
+  }
+  return cwd && userTimes.length ? { cwd, userTimes } : null;
+}
+
+function sameDir(a, b) {
+  const norm = (p) => { try { return fs.realpathSync(p); } catch (_) { return path.resolve(p); } };
+  return norm(a) === norm(b);
+}
+
+// Tracked terminal in the conversation's cwd with the closest submit → message gap
+function findConversationOwner(projectDir, meta) {
+  let best = null;
+  let bestGap = Infinity;
+  for (const [id, term] of terminals) {
+    if (term.projectDir !== projectDir || !term.submits.length) continue;
+    if (!sameDir(term.cwd, meta.cwd)) continue;
+    for (const submit of term.submits) {
+      for (const t of meta.userTimes) {
+        const gap = t - submit;
+        // Allow a little clock skew before the submit
+        if (gap < -2000 || gap > CONVO_MATCH_WINDOW) continue;
+        if (Math.abs(gap) < bestGap) {
+          bestGap = Math.abs(gap);
+          best = id;
+        }
+      }
+    }
+  }
+  return best;
+}
+
+// One scan per project at a time; a scan asked for meanwhile runs once it finishes
+function scanProject(projectDir) {
+  const entry = projectWatches.get(projectDir);
+  if (!entry) return Promise.resolve();
+  if (entry.scanning) {
+    entry.rescan = true;
+    return entry.scanning;
+  }
+  entry.scanning = (async () => {
+    do {
+      entry.rescan = false;
+      await scanConversations(projectDir, entry);
+    } while (entry.rescan && projectWatches.get(projectDir) === entry);
+  })().finally(() => { entry.scanning = null; });
+  return entry.scanning;
+}
+
+async function scanConversations(projectDir, entry) {
+  await entry.ready;
+  for (const convoId of await listConversations(projectDir)) {
+    if (entry.known.has(convoId)) continue;
+    if (claimedConversations.has(convoId)) {
+      entry.known.add(convoId);
+      continue;
+    }
+    const meta = await readConversationMeta(path.join(projectDir, convoId + '.jsonl'));
+    if (!meta || entry.known.has(convoId)) continue; // retried on the next change
+    entry.known.add(convoId);
+    const owner = findConversationOwner(projectDir, meta);
+    // A terminal that already has an ID moves on to its new one (/clear, forked resume)
+    if (owner) assignConversation(terminals.get(owner), convoId);
+  }
+}
+
+function assignConversation(term, convoId) {
+  if (term.conversationId) claimedConversations.delete(term.conversationId);
+  term.conversationId = convoId;
+  claimedConversations.add(convoId);
+}
+
+function noteSubmit(term) {
+  if (!term.projectDir) return;
+  term.submits.push(Date.now());
+  if (term.submits.length > CONVO_SUBMITS_KEPT) term.submits.shift();
+}
+
+// ── Conversation history ──
+// Summaries parsed from each conversation's .jsonl, cached until the file changes.
+
+const conversationSummaries = new Map(); // file path → { mtimeMs, size, summary }
+
+function messageText(message) {
+  if (!message) return '';
+  const { content } = message;
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.filter(b => b && b.type === 'text').map(b => b.text).join('\n');
+}
+
+function parseConversation(id, raw, mtimeMs) {
+  let firstPrompt = '';
+  let messageCount = 0;
+  let lastActivity = 0;
+  for (const line of raw.split('\n')) {
+    if (!line) continue;
+    let entry;
+    try { entry = JSON.parse(line); } catch (_) { continue; }
+    if (entry.type !== 'user' && entry.type !== 'assistant') continue;
+    if (entry.isMeta) continue;
+    messageCount++;
+    const t = Date.parse(entry.timestamp);
+    if (t > lastActivity) lastActivity = t;
+    if (!firstPrompt && entry.type === 'user') {
+      const text = messageText(entry.message).trim();
+      // Slash commands and tool results are recorded as user messages too
+      if (text && !text.startsWith('<')) firstPrompt = text.slice(0, 300);
+    }
+  }
+  return { id, firstPrompt, messageCount, lastActivity: lastActivity || mtimeMs };
+}
+
+async function summarizeConversation(projectDir, id) {
+  const file = path.join(projectDir, id + '.jsonl');
+  const stat = await fs.promises.stat(file);
+  const cached = conversationSummaries.get(file);
+  if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) return cached.summary;
+  const raw = await fs.promises.readFile(file, 'utf-8');
+  const summary = parseConversation(id, raw, stat.mtimeMs);
+  conversationSummaries.set(file, { mtimeMs: stat.mtimeMs, size: stat.size, summary });
+  return summary;
+}
+
+// Which open terminal (if any) is running each conversation
+function conversationOwners() {
+  const owners = new Map();
+  for (const [id, term] of terminals) {
+    if (term.conversationId) owners.set(term.conversationId, id);
+  }
+  return owners;
+}
+
+ipcMain.handle('conversation-list', async (event, { cwd }) => {
+  const projectDir = getProjectDir(cwd || os.homedir());
+  const owners = conversationOwners();
+  const results = [];
+  for (const id of await listConversations(projectDir)) {
+    try {
+      const summary = await summarizeConversation(projectDir, id);
+      // Files with no messages yet (e.g. a session that was opened and closed) aren't resumable
+      if (summary.messageCount === 0) continue;
+      results.push({ ...summary, claimedBy: owners.get(id) || null });
+    } catch (_) {}
+  }
+  return results.sort((a, b) => b.lastActivity - a.lastActivity);
+});
+
 // ── Platform helpers ──
 
+// One sh word, whatever the value contains
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
 function winToWslPath(winPath) {
   if (!winPath || !IS_WIN) return winPath;
   const m = winPath.match(/^([A-Za-z]):[/\\](.*)/);
@@ -123,19 +500,24 @@ function createWindow() {
 
   mainWindow.on('close', (e) => {
     e.preventDefault();
-    mainWindow.webContents.send('save-state');
-    setTimeout(() => {
+    // Wait for the renderer to finish saving (scrollback can take a moment), with a cap
+    let closed = false;
+    const finish = () => {
+      if (closed) return;
+      closed = true;
+      ipcMain.removeListener('save-state-done', finish);
       destroyAllTerminals();
       mainWindow.destroy();
-    }, 300);
+    };
+    ipcMain.once('save-state-done', finish);
+    mainWindow.webContents.send('save-state');
+    setTimeout(finish, 3000);
   });
 }
 
 function destroyAllTerminals() {
   for (const [id, term] of terminals) {
-    if (term.convoCheck) clearInterval(term.convoCheck);
-    if (term.autoNameTimer) clearTimeout(term.autoNameTimer);
-    try { term.pty.kill(); } catch (_) {}
+    stopTerminal(term);
   }
   terminals.clear();
 }
@@ -145,6 +527,150 @@ function destroyAllTerminals() {
 ipcMain.handle('get-home-dir', () => os.homedir());
 ipcMain.handle('get-platform', () => process.platform);
 
+// ── Collection environment ──
+// A collection can carry its own variables (plain ones in state.json), secret ones kept
+// here in userData/secrets.json — encrypted with the OS keychain when safeStorage is
+// available — and .env/.envrc files from its folder, re-read at every spawn.
+// Precedence, lowest first: process env, .env, .envrc, collection variables, secrets.
+
+const SECRETS_FILE = path.join(app.getPath('userData'), 'secrets.json');
+const ENV_FILES = ['.env', '.envrc'];
+const ENV_KEY_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// KEY=value lines, optionally prefixed with `export`; other shell (e.g. direnv's
+// `layout python`) is skipped. There's no expansion, so values that need it
+// (`$PWD/bin:$PATH`, backticks, `$(...)`) are skipped rather than set literally and
+// their keys collected in `skipped`. Single-quoted values are literal, as in sh.
+function parseEnvFile(text, skipped = []) {
+  const env = {};
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim().replace(/^export\s+/, '');
+    const m = /^([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/.exec(line);
+    if (!m) continue;
+    let value = m[2];
+    const quote = value[0];
+    if ((quote === '"' || quote === "'") && value.indexOf(quote, 1) > 0) {
+      value = value.slice(1, value.indexOf(quote, 1));
+      if (quote === '"') value = value.replace(/\\n/g, '\n').replace(/\\(["\\])/g, '$1');
+    } else {
+      value = value.replace(/\s+#.*$/, '').trim();
+    }
+    if (quote !== "'" && /[$`]/.test(value)) {
+      skipped.push(m[1]);
+      continue;
+    }
+    env[m[1]] = value;
+  }
+  return env;
+}
+
+function readEnvFiles(dir) {
+  const env = {};
+  for (const name of ENV_FILES) {
+    try {
+      Object.assign(env, parseEnvFile(fs.readFileSync(path.join(dir, name), 'utf-8')));
+    } catch (_) {}
+  }
+  return env;
+}
+
+// { collectionId: { KEY: { enc } | { plain } } }
+function readSecretStore() {
+  try {
+    const store = JSON.parse(fs.readFileSync(SECRETS_FILE, 'utf-8'));
+    return store && typeof store === 'object' ? store : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+function writeSecretStore(store) {
+  fs.mkdirSync(path.dirname(SECRETS_FILE), { recursive: true });
+  fs.writeFileSync(SECRETS_FILE, JSON.stringify(store, null, 2) + '\n', { mode: 0o600 });
+}
+
+function encodeSecret(value) {
+  if (safeStorage.isEncryptionAvailable()) return { enc: safeStorage.encryptString(value).toString('base64') };
+  return { plain: value };
+}
+
+function decodeSecret(entry) {
+  try {
+    if (entry.enc) return safeStorage.decryptString(Buffer.from(entry.enc, 'base64'));
+    return typeof entry.plain === 'string' ? entry.plain : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function collectionSecrets(id) {
+  const env = {};
+  const entries = readSecretStore()[id] || {};
+  for (const [key, entry] of Object.entries(entries)) {
+    const value = decodeSecret(entry);
+    if (value !== null) env[key] = value;
+  }
+  return env;
+}
+
+// spec: { id, path, vars, files } as sent by the renderer for the tab's collection
+function collectionEnv(spec) {
+  if (!spec) return {};
+  const env = spec.files && spec.path ? readEnvFiles(spec.path) : {};
+  for (const [key, value] of Object.entries(spec.vars || {})) {
+    if (ENV_KEY_RE.test(key)) env[key] = String(value);
+  }
+  if (spec.id) Object.assign(env, collectionSecrets(spec.id));
+  return env;
+}
+
+// set: { KEY: value } for new or changed secrets; keep: every secret key still in use
+ipcMain.handle('env-secrets-set', (event, { id, set, keep }) => {
+  try {
+    const store = readSecretStore();
+    const entries = {};
+    const current = store[id] || {};
+    for (const key of keep || []) {
+      if (set && typeof set[key] === 'string' && set[key]) entries[key] = encodeSecret(set[key]);
+      else if (current[key]) entries[key] = current[key];
+    }
+    if (Object.keys(entries).length) store[id] = entries;
+    else delete store[id];
+    writeSecretStore(store);
+    return { success: true, encrypted: safeStorage.isEncryptionAvailable() };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// Without a system keychain (e.g. Linux with no secret service) secrets are stored as plain text
+ipcMain.handle('env-secrets-encryption', () => safeStorage.isEncryptionAvailable());
+
+ipcMain.handle('env-secrets-clear', (event, { id }) => {
+  const store = readSecretStore();
+  if (!store[id]) return true;
+  delete store[id];
+  try {
+    writeSecretStore(store);
+    return true;
+  } catch (_) {
+    return false;
+  }
+});
+
+// Which env files exist in a folder and the keys they define (values stay in main)
+ipcMain.handle('env-files-preview', (event, { dir }) => {
+  const found = [];
+  for (const name of ENV_FILES) {
+    try {
+      const skipped = [];
+      const keys = Object.keys(parseEnvFile(fs.readFileSync(path.join(dir, name), 'utf-8'), skipped));
+      found.push({ file: name, keys, skipped });
+    } catch (_) {}
+  }
+  return found;
+});
+
 // ── Tool detection and installation ──
 
 ipcMain.handle('detect-tools', async () => {
@@ -164,6 +690,7 @@ ipcMain.handle('detect-tools', async () => {
 ipcMain.handle('install-tool', async (event, toolKey) => {
   const config = TOOL_CONFIGS[toolKey];
   if (!config) return { success: false, error: 'Unknown tool' };
+  if (!config.installCmd) return { success: false, error: `No installCmd configured for ${config.name}` };
   return new Promise((resolve) => {
     exec(config.installCmd, { timeout: 120000 }, (err, stdout, stderr) => {
       if (err) resolve({ success: false, error: stderr || err.message });
@@ -179,17 +706,35 @@ ipcMain.handle('set-selected-tool', (event, toolKey) => {
 });
 
 ipcMain.handle('get-tool-configs', () => {
+  loadUserTools();
   const configs = {};
   for (const [key, config] of Object.entries(TOOL_CONFIGS)) {
-    configs[key] = { name: config.name, binary: config.binary };
+    configs[key] = { name: config.name, binary: config.binary, custom: !!config.custom };
   }
   return configs;
 });
 
+ipcMain.handle('get-tool-config-errors', () => toolConfigErrors);
+
+// Open tools.json in the system editor, seeding it with an example on first use
+ipcMain.handle('open-tools-file', async () => {
+  try {
+    if (!fs.existsSync(TOOLS_FILE)) {
+      fs.mkdirSync(path.dirname(TOOLS_FILE), { recursive: true });
+      fs.writeFileSync(TOOLS_FILE, JSON.stringify(TOOLS_FILE_TEMPLATE, null, 2) + '\n');
+    }
+    const err = await shell.openPath(TOOLS_FILE);
+    return err ? { success: false, error: err } : { success: true, path: TOOLS_FILE };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
 // ── Auto-naming ──
 
 async function autoNameSession(id) {
-  const tool = getToolConfig();
+  const term = terminals.get(id);
+  const tool = getToolConfig(term && term.toolKey);
   if (!tool.promptFlag) return; // tool doesn't support piped prompts
 
   const lines = journal.getBufferLines(id);
@@ -211,38 +756,71 @@ async function autoNameSession(id) {
 
 // ── Terminal management ──
 
-ipcMain.handle('terminal-create', (event, { id, cwd, conversationId, name, collectionName, prompt }) => {
+// Tools run inside a shell (`tool; exec $SHELL`), so the pty outlives the tool.
+// This OSC sequence reports the tool's exit status; xterm ignores unknown OSCs.
+// The wrapper is POSIX sh, which the shells below can't run (fish has no `$?`).
+const NON_POSIX_SHELLS = new Set(['fish', 'nu', 'elvish', 'xonsh', 'pwsh']);
+const TOOL_EXIT_OSC = '7770';
+const TOOL_EXIT_RE = new RegExp(`\x1b\\]${TOOL_EXIT_OSC};(\\d+)\x07`);
+const TOOL_EXIT_TAIL = 16; // longer than the whole sequence, so one split across chunks is still seen
+
+function sendExit(id, exitCode, signal, scope) {
+  const term = terminals.get(id);
+  if (term) term.detector.noteExit(exitCode, signal);
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('terminal-exit', { id, exitCode, signal: signal || null, scope });
+  }
+  control.emit('exit', { id, exitCode, signal: signal || null, scope });
+}
+
+function spawnTerminal(opts) {
+  const { id, cwd, conversationId: requestedConvoId, name, collectionName, prompt, tool: requestedTool, kind, env } = opts;
+  const autoApprove = opts.autoApprove !== false;
   const home = os.homedir();
   const dir = cwd || home;
-  const tool = getToolConfig();
-
-  const cleanEnv = { ...process.env, HOME: home };
+  // Shell sessions run the user's shell with no tool: no resume, naming or tracking
+  const isShell = kind === 'shell';
+  const toolKey = isShell ? null : resolveToolKey(requestedTool);
+  const tool = isShell ? null : getToolConfig(toolKey);
+  const conversationId = isShell ? null : requestedConvoId;
+
+  const extraEnv = { ...collectionEnv(opts.collectionEnv), ...env };
+  const cleanEnv = { ...process.env, HOME: home, ...extraEnv };
   delete cleanEnv.CLAUDECODE;
   delete cleanEnv.CLAUDE_CODE_ENTRYPOINT;
+  // Windows variables only cross into WSL when listed in WSLENV
+  if (IS_WIN && Object.keys(extraEnv).length) {
+    cleanEnv.WSLENV = [process.env.WSLENV, ...Object.keys(extraEnv)].filter(Boolean).join(':');
+  }
 
   // Build tool command with resume support or prompt mode
-  let toolArgs;
+  let toolArgs = null;
   let initialPrompt = prompt || null; // sent as first input after spawn
-  if (conversationId && tool.buildResumeCmd) {
+  if (isShell) {
+    // No tool command — the pty is just the shell
+  } else if (conversationId && tool.buildResumeCmd) {
     // Codex-style: entirely different command for resume
     toolArgs = tool.buildResumeCmd(conversationId);
   } else if (conversationId && tool.buildResumeArgs) {
     const resumePart = tool.buildResumeArgs(conversationId);
-    toolArgs = resumePart ? `${getToolCmd()} ${resumePart}` : getToolCmd();
+    toolArgs = resumePart ? `${getToolCmd(toolKey, autoApprove)} ${resumePart}` : getToolCmd(toolKey, autoApprove);
   } else {
-    toolArgs = getToolCmd();
+    toolArgs = getToolCmd(toolKey, autoApprove);
   }
 
   // Conversation tracking (Claude-only: watches ~/.claude/projects/)
-  const shouldTrackConvos = tool.conversationTracking;
+  const shouldTrackConvos = !isShell && tool.conversationTracking;
   const projectDir = shouldTrackConvos ? getProjectDir(dir) : null;
-  const beforeConvos = shouldTrackConvos ? new Set(listConversations(projectDir)) : new Set();
+  if (projectDir) watchProject(projectDir);
 
+  const report = `printf '\\033]${TOOL_EXIT_OSC};%s\\007' "$?"`;
   let ptyProcess;
 
   if (IS_WIN) {
     const wslDir = winToWslPath(dir);
-    const shellCmd = `cd "${wslDir}" && ${toolArgs}; exec bash`;
+    // wsl.exe starts in the Windows cwd's mount, not the folder itself
+    const cdDir = `cd ${shellQuote(wslDir)}`;
+    const shellCmd = toolArgs ? `${cdDir} && ${toolArgs}; ${report}; exec bash` : `${cdDir} && exec bash`;
     ptyProcess = pty.spawn('wsl.exe', ['bash', '-c', shellCmd], {
       name: 'xterm-256color',
       cols: 120,
@@ -252,8 +830,13 @@ ipcMain.handle('terminal-create', (event, { id, cwd, conversationId, name, colle
     });
   } else {
     const shell = process.env.SHELL || '/bin/bash';
-    const cmd = `cd "${dir}" && ${toolArgs}`;
-    ptyProcess = pty.spawn(shell, ['-c', `${cmd}; exec ${shell}`], {
+    // The user's shell runs the tool, so its startup files (.zshenv: PATH, nvm, asdf shims)
+    // apply; shells that can't run the sh exit report hand the tool to /bin/sh instead
+    const runner = NON_POSIX_SHELLS.has(path.basename(shell)) ? '/bin/sh' : shell;
+    // The pty starts in dir, so the folder never has to be spliced into the command
+    const execShell = `exec ${shellQuote(shell)}`;
+    const cmd = toolArgs ? `${toolArgs}; ${report}; ${execShell}` : execShell;
+    ptyProcess = pty.spawn(runner, ['-c', cmd], {
       name: 'xterm-256color',
       cols: 120,
       rows: 30,
@@ -264,13 +847,20 @@ ipcMain.handle('terminal-create', (event, { id, cwd, conversationId, name, colle
 
   let dataBytes = 0;
   let windowStart = Date.now();
-  let detectedConvoId = conversationId || null;
   const spawnTime = Date.now();
+  let exitTail = ''; // end of the previous chunk, for an exit report split across two
+  // After the tool exits the pty is the user's shell; a program there printing the same
+  // sequence mustn't count as another tool exit
+  let toolExited = false;
 
   // Claim the conversation ID so no other terminal can steal it
   if (conversationId) claimedConversations.add(conversationId);
 
   ptyProcess.onData((data) => {
+    // Drop output from a pty that was destroyed or replaced by a restart
+    const current = terminals.get(id);
+    if (!current || current.pty !== ptyProcess) return;
+
     const now = Date.now();
     if (now - windowStart > 2000) {
       dataBytes = 0;
@@ -278,75 +868,75 @@ ipcMain.handle('terminal-create', (event, { id, cwd, conversationId, name, colle
     }
     dataBytes += data.length;
 
+    current.detector.feed(data);
+
+    if (toolArgs && !toolExited) {
+      const text = exitTail + data;
+      const toolExit = TOOL_EXIT_RE.exec(text);
+      // Keep only what follows a match, so the same report isn't seen twice
+      exitTail = (toolExit ? text.slice(toolExit.index + toolExit[0].length) : text).slice(-TOOL_EXIT_TAIL);
+      if (toolExit) {
+        toolExited = true;
+        // Exit codes above 128 mean the tool was killed by signal (code - 128)
+        const code = parseInt(toolExit[1], 10);
+        sendExit(id, code, code > 128 ? code - 128 : null, 'tool');
+      }
+    }
+
     // Feed journal with terminal output
-    journal.feed(id, name || id, collectionName || path.basename(dir), data);
+    journal.feed(id, name || id, collectionName || path.basename(dir), data, toolKey);
 
     if (mainWindow && !mainWindow.isDestroyed()) {
       mainWindow.webContents.send('terminal-data', { id, data });
     }
   });
 
-  ptyProcess.onExit(() => {
+  ptyProcess.onExit(({ exitCode, signal }) => {
     const term = terminals.get(id);
-    if (term) {
-      term.alive = false;
-      if (term.convoCheck) clearInterval(term.convoCheck);
-    }
+    // Ignore exits from a pty that was already replaced by a restart
+    if (!term || term.pty !== ptyProcess) return;
+    term.alive = false;
+    sendExit(id, exitCode, signal, 'session');
   });
 
-  // Poll for new conversation file if we don't already have an ID (Claude-only)
-  let convoCheck = null;
-  if (!conversationId && shouldTrackConvos) {
-    let checks = 0;
-    convoCheck = setInterval(() => {
-      checks++;
-      const afterConvos = listConversations(projectDir);
-      // Filter to conversations that are new AND not claimed by another terminal
-      const newConvos = afterConvos.filter(c => !beforeConvos.has(c) && !claimedConversations.has(c));
-      if (newConvos.length > 0) {
-        // Pick the conversation created closest to (but after) this terminal's spawn time
-        let best = newConvos[0];
-        let bestTime = Infinity;
-        for (const c of newConvos) {
-          try {
-            const stat = fs.statSync(path.join(projectDir, c + '.jsonl'));
-            const age = Math.abs(stat.birthtimeMs - spawnTime);
-            if (age < bestTime) { bestTime = age; best = c; }
-          } catch (_) {}
-        }
-        detectedConvoId = best;
-        claimedConversations.add(best);
-        const term = terminals.get(id);
-        if (term) term.conversationId = best;
-        clearInterval(convoCheck);
-      }
-      if (checks > 30) clearInterval(convoCheck);
-    }, 1000);
-  }
-
   // Auto-name: after 30s, if the session still has a default name
   let autoNameTimer = null;
   const isDefaultName = !name || /^Session \d+$/i.test(name);
-  if (isDefaultName && tool.promptFlag) {
+  if (isDefaultName && tool && tool.promptFlag) {
     autoNameTimer = setTimeout(() => {
       autoNameSession(id);
     }, 30000);
   }
 
   terminals.set(id, {
+    opts,
     pty: ptyProcess,
+    toolKey,
+    kind: isShell ? 'shell' : 'agent',
     alive: true,
-    conversationId: detectedConvoId,
+    conversationId: conversationId || null,
     spawnTime,
-    beforeConvos,
+    cwd: dir,
     projectDir,
-    convoCheck,
+    submits: [],
     autoNameTimer,
-    isWorking: () => {
-      return dataBytes > 500 && (Date.now() - windowStart) < 3000;
-    },
+    detector: agentState.createDetector(toolKey),
+    state: 'idle',
+    stateSince: spawnTime,
+    diffBase: opts.diffBase || null,
+    scheduleId: opts.scheduleId || null,
   });
 
+  // Snapshot the working tree so the diff viewer can show what this agent session changed.
+  // Restarts pass on the first snapshot (null if there was none) rather than taking another.
+  if (!isShell && opts.diffBase === undefined) {
+    snapshotWorkingTree(dir).then((base) => {
+      const term = terminals.get(id);
+      // A restart before the snapshot finished keeps the id; the snapshot still applies
+      if (term && !term.diffBase) term.diffBase = base;
+    });
+  }
+
   // If there's an initial prompt, wait for Claude to start then type it in
   if (initialPrompt) {
     let prompted = false;
@@ -356,6 +946,8 @@ ipcMain.handle('terminal-create', (event, { id, cwd, conversationId, name, colle
         prompted = true;
         ptyProcess.removeListener('data', onData);
         setTimeout(() => {
+          const term = terminals.get(id);
+          if (term) noteSubmit(term);
           ptyProcess.write(initialPrompt + '\r');
         }, 500);
       }
@@ -363,12 +955,46 @@ ipcMain.handle('terminal-create', (event, { id, cwd, conversationId, name, colle
     ptyProcess.on('data', onData);
   }
 
-  return { id };
+  return { id, tool: toolKey };
+}
+
+function stopTerminal(term) {
+  if (term.projectDir) unwatchProject(term.projectDir);
+  if (term.autoNameTimer) clearTimeout(term.autoNameTimer);
+  if (term.scheduleSettleTimer) clearTimeout(term.scheduleSettleTimer);
+  try { term.pty.kill(); } catch (_) {}
+}
+
+ipcMain.handle('terminal-create', (event, opts) => spawnTerminal(opts));
+
+// Respawn a terminal in place, resuming its tracked conversation when there is one.
+// The journal buffer is kept so the restart doesn't lose unsummarized activity.
+ipcMain.handle('terminal-restart', (event, { id, name, collectionName, collectionEnv: envSpec }) => {
+  const term = terminals.get(id);
+  if (!term) return null;
+  const conversationId = term.conversationId || null;
+  stopTerminal(term);
+  terminals.delete(id);
+  if (conversationId) claimedConversations.delete(conversationId);
+  const result = spawnTerminal({
+    ...term.opts,
+    name: name || term.opts.name,
+    collectionName: collectionName || term.opts.collectionName,
+    collectionEnv: envSpec || term.opts.collectionEnv,
+    conversationId,
+    prompt: null,
+    diffBase: term.diffBase,
+  });
+  const fresh = terminals.get(id);
+  if (fresh && term.state !== fresh.state) onAgentStateChange(id, fresh, term.state, fresh.state);
+  return result;
 });
 
 ipcMain.on('terminal-input', (event, { id, data }) => {
   const term = terminals.get(id);
   if (term && term.alive) {
+    term.detector.noteInput();
+    if (data.includes('\r')) noteSubmit(term);
     term.pty.write(data);
   }
 });
@@ -384,50 +1010,50 @@ ipcMain.on('terminal-destroy', (event, { id }) => {
   const term = terminals.get(id);
   if (term) {
     if (term.conversationId) claimedConversations.delete(term.conversationId);
-    if (term.convoCheck) clearInterval(term.convoCheck);
-    if (term.autoNameTimer) clearTimeout(term.autoNameTimer);
-    try { term.pty.kill(); } catch (_) {}
+    stopTerminal(term);
     terminals.delete(id);
     journal.removeTerminal(id);
   }
 });
 
-ipcMain.handle('terminal-is-active', (event, { id }) => {
+// ── Agent state ──
+// Sessions are re-classified every second; transitions are pushed to the renderer.
+
+const STATE_POLL_INTERVAL = 1000;
+let statePollId = null;
+
+function pollAgentStates() {
+  const now = Date.now();
+  for (const [id, term] of terminals) {
+    const next = term.detector.getState();
+    if (next === term.state) continue;
+    const prev = term.state;
+    term.state = next;
+    term.stateSince = now;
+    onAgentStateChange(id, term, prev, next);
+  }
+}
+
+function onAgentStateChange(id, term, prev, state) {
+  if (term.scheduleId) onScheduledStateChange(id, term, state);
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('terminal-state', { id, state, prev, since: term.stateSince });
+  }
+  control.emit('state', { id, state, prev, since: term.stateSince });
+}
+
+ipcMain.handle('terminal-get-state', (event, { id }) => {
   const term = terminals.get(id);
-  if (!term) return false;
-  return term.isWorking();
+  if (!term) return null;
+  return { state: term.state, since: term.stateSince };
 });
 
-// Get the detected conversation ID for a terminal (with lazy detection)
-ipcMain.handle('terminal-get-conversation-id', (event, { id }) => {
+// Get the detected conversation ID for a terminal, catching up on missed file events
+ipcMain.handle('terminal-get-conversation-id', async (event, { id }) => {
   const term = terminals.get(id);
   if (!term) return null;
-
-  // If we already have it, return it
-  if (term.conversationId) return term.conversationId;
-
-  // Lazy detection: check for new conversation files since launch (exclude already-claimed)
-  if (term.beforeConvos && term.projectDir) {
-    const afterConvos = listConversations(term.projectDir);
-    const newConvos = afterConvos.filter(c => !term.beforeConvos.has(c) && !claimedConversations.has(c));
-    if (newConvos.length > 0) {
-      // Pick the conversation created closest to this terminal's spawn time
-      let best = newConvos[0];
-      let bestTime = Infinity;
-      for (const c of newConvos) {
-        try {
-          const stat = fs.statSync(path.join(term.projectDir, c + '.jsonl'));
-          const age = Math.abs(stat.birthtimeMs - (term.spawnTime || 0));
-          if (age < bestTime) { bestTime = age; best = c; }
-        } catch (_) {}
-      }
-      term.conversationId = best;
-      claimedConversations.add(best);
-      return best;
-    }
-  }
-
-  return null;
+  if (!term.conversationId && term.projectDir) await scanProject(term.projectDir);
+  return term.conversationId || null;
 });
 
 // ── State persistence ──
@@ -436,6 +1062,11 @@ ipcMain.handle('save-state', (event, state) => {
   try {
     fs.mkdirSync(STATE_DIR, { recursive: true });
     fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
+    // Factory reset: saved scrollback and collection secrets go with the rest of the state
+    if (state === null) {
+      fs.rmSync(SCROLLBACK_DIR, { recursive: true, force: true });
+      fs.rmSync(SECRETS_FILE, { force: true });
+    }
     return true;
   } catch (e) {
     console.error('Failed to save state:', e);
@@ -456,6 +1087,52 @@ ipcMain.handle('load-state', () => {
   }
 });
 
+// ── Scrollback persistence ──
+// One file per tab, keyed by the tab's persistent uid: state/scrollback/<uid>.txt
+
+const SCROLLBACK_UID_RE = /^[a-z0-9-]+$/i;
+
+function capScrollback(data) {
+  if (data.length <= SCROLLBACK_MAX_CHARS) return data;
+  // Cut at a line boundary so we don't start mid escape sequence
+  const cut = data.length - SCROLLBACK_MAX_CHARS;
+  const nl = data.indexOf('\n', cut);
+  return nl >= 0 ? data.slice(nl + 1) : data.slice(cut);
+}
+
+// entries: [{ uid, data }]; keep: uids of all open tabs (files for other uids are removed),
+// or null to leave other files alone
+ipcMain.handle('scrollback-save', (event, { entries, keep }) => {
+  try {
+    fs.mkdirSync(SCROLLBACK_DIR, { recursive: true });
+    for (const { uid, data } of entries) {
+      if (!SCROLLBACK_UID_RE.test(uid) || typeof data !== 'string') continue;
+      fs.writeFileSync(path.join(SCROLLBACK_DIR, `${uid}.txt`), capScrollback(data));
+    }
+    if (keep) {
+      const keepSet = new Set(keep);
+      for (const f of fs.readdirSync(SCROLLBACK_DIR)) {
+        if (f.endsWith('.txt') && !keepSet.has(f.slice(0, -4))) {
+          try { fs.unlinkSync(path.join(SCROLLBACK_DIR, f)); } catch (_) {}
+        }
+      }
+    }
+    return true;
+  } catch (e) {
+    console.error('Failed to save scrollback:', e);
+    return false;
+  }
+});
+
+ipcMain.handle('scrollback-load', (event, uid) => {
+  if (!SCROLLBACK_UID_RE.test(uid || '')) return null;
+  try {
+    return fs.readFileSync(path.join(SCROLLBACK_DIR, `${uid}.txt`), 'utf-8');
+  } catch (_) {
+    return null;
+  }
+});
+
 // ── Journal ──
 
 // List all journal dates that have .md files -> ['2026-02-17', '2026-02-16', ...]
@@ -560,32 +1237,1060 @@ ${rawContent}`;
 
 // (GSD orchestration removed — now uses native /gsd:* slash commands in-terminal)
 
-// ── Folder picker ──
+// ── Git ──
 
-ipcMain.handle('pick-folder', async () => {
-  const result = await dialog.showOpenDialog(mainWindow, {
-    properties: ['openDirectory'],
-    title: 'New Collection — Select Project Folder',
-    defaultPath: os.homedir(),
+// raw: keep stdout as is (diffs end in meaningful blank context lines)
+// timeout (ms, 0 for none) kills a git that hangs, e.g. on a stale network mount
+function git(cwd, args, { raw = false, timeout = 0 } = {}) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd, timeout, maxBuffer: 10 * 1024 * 1024 }, (err, stdout, stderr) => {
+      if (err && err.killed) reject(new Error(`git ${args[0]} timed out`));
+      else if (err) reject(new Error((stderr || err.message).trim()));
+      else resolve(raw ? stdout : stdout.trim());
+    });
   });
-  if (result.canceled || !result.filePaths.length) return null;
-  return result.filePaths[0];
-});
+}
 
-// ── App lifecycle ──
+// '## main...origin/main [ahead 1, behind 2]' header plus -z separated entries
+function parseGitStatus(out) {
+  const parts = out.split('\0');
+  const header = parts.shift() || '';
+  const m = /^## (?:No commits yet on |Initial commit on )?(.+?)(?:\.\.\.(\S+))?(?: \[(.+)\])?$/.exec(header);
+  const branch = m ? m[1].replace(' (no branch)', '') : null;
+  const tracking = (m && m[3]) || '';
+  const ahead = /ahead (\d+)/.exec(tracking);
+  const behind = /behind (\d+)/.exec(tracking);
+
+  const files = [];
+  for (let i = 0; i < parts.length; i++) {
+    if (!parts[i]) continue;
+    const code = parts[i].slice(0, 2);
+    files.push({ status: code, path: parts[i].slice(3) });
+    // Renames and copies carry the original path in the next field
+    if (code[0] === 'R' || code[0] === 'C') i++;
+  }
 
-app.whenReady().then(() => {
-  const editMenu = {
-    label: 'Edit',
-    submenu: [
-      { role: 'undo' },
-      { role: 'redo' },
-      { type: 'separator' },
-      { role: 'cut' },
-      { role: 'copy' },
-      { role: 'paste' },
-      { role: 'selectAll' },
-    ],
+  return {
+    branch,
+    upstream: (m && m[2]) || null,
+    ahead: ahead ? parseInt(ahead[1]) : 0,
+    behind: behind ? parseInt(behind[1]) : 0,
+    files,
+  };
+}
+
+// Status for each folder, or null for folders that aren't in a git repo
+// Refreshed for every folder on a timer, so one slow repo mustn't hold up the rest
+const GIT_STATUS_TIMEOUT = 5000;
+
+ipcMain.handle('git-status', async (event, { paths }) => {
+  const result = {};
+  for (const dir of paths) {
+    try {
+      result[dir] = parseGitStatus(await git(dir, ['status', '--porcelain=v1', '--branch', '-z'], { timeout: GIT_STATUS_TIMEOUT }));
+    } catch (_) {
+      result[dir] = null;
+    }
+  }
+  return result;
+});
+
+// ── Diff viewer ──
+// Paths are relative to the repo root, so every call after the file list runs there.
+
+const SNAPSHOT_UNTRACKED_MAX = 500;
+const SNAPSHOT_FILE_MAX = 1024 * 1024; // bigger untracked files are tracked by size only
+const SNAPSHOT_LOCK_RETRIES = 3;
+
+// Untracked files (root-relative, directories expanded) → blob ids; write stores the blobs
+// in the object store, otherwise they are only hashed
+async function hashUntracked(root, files, { write = false } = {}) {
+  if (!files.length) return {};
+  const ids = (await git(root, ['hash-object', ...(write ? ['-w'] : []), '--', ...files])).split('\n');
+  return Object.fromEntries(files.map((f, i) => [f, ids[i]]));
+}
+
+// Snapshots of one repo run one after another: `git stash create` refreshes the index,
+// and tabs restored together would otherwise fight over index.lock
+const snapshotQueues = new Map(); // repo root → tail of its queue
+
+function queueSnapshot(root, task) {
+  const run = (snapshotQueues.get(root) || Promise.resolve()).then(task);
+  const tail = run.catch(() => {});
+  snapshotQueues.set(root, tail);
+  tail.then(() => {
+    if (snapshotQueues.get(root) === tail) snapshotQueues.delete(root);
+  });
+  return run;
+}
+
+// The user's own git commands (or the sidebar's status poll) can still hold the lock briefly
+async function stashCreate(root) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await git(root, ['stash', 'create']);
+    } catch (e) {
+      if (attempt >= SNAPSHOT_LOCK_RETRIES || !e.message.includes('index.lock')) throw e;
+      await new Promise(resolve => setTimeout(resolve, 300 * attempt));
+    }
+  }
+}
+
+// Session start: { commit, untracked, large }. `git stash create` commits the tracked working
+// tree without touching it (empty output means clean); untracked files aren't in that commit,
+// so their contents are kept as blobs to tell them apart from files the session adds. Files
+// over SNAPSHOT_FILE_MAX aren't copied into .git: large keeps their { size, mtimeMs }.
+async function snapshotWorkingTree(dir) {
+  let root;
+  try {
+    root = await git(dir, ['rev-parse', '--show-toplevel']);
+  } catch (_) {
+    return null; // not a repo
+  }
+  return queueSnapshot(root, async () => {
+    const commit = (await stashCreate(root)) || await git(root, ['rev-parse', 'HEAD']);
+    const others = (await git(root, ['ls-files', '--others', '--exclude-standard', '-z'])).split('\0').filter(Boolean);
+    const small = [];
+    const large = {};
+    for (const file of others.slice(0, SNAPSHOT_UNTRACKED_MAX)) {
+      const stat = await fs.promises.stat(path.join(root, file)).catch(() => null);
+      if (!stat) continue;
+      if (stat.size > SNAPSHOT_FILE_MAX) large[file] = { size: stat.size, mtimeMs: stat.mtimeMs };
+      else small.push(file);
+    }
+    const untracked = await hashUntracked(root, small, { write: true });
+    return { commit, untracked, large };
+  }).catch((e) => {
+    console.error(`Working tree snapshot of ${root} failed:`, e.message);
+    return null;
+  });
+}
+
+// A file's contents as stored in a blob; buffers, so binary files survive a revert
+function readBlob(root, blob) {
+  return new Promise((resolve, reject) => {
+    execFile('git', ['cat-file', 'blob', blob], { cwd: root, encoding: 'buffer', maxBuffer: 100 * 1024 * 1024 }, (err, stdout, stderr) => {
+      if (err) reject(new Error((stderr.toString() || err.message).trim()));
+      else resolve(stdout);
+    });
+  });
+}
+
+// 'M\0path\0' entries, with renames as 'R100\0old\0new\0'
+function parseNameStatus(out) {
+  const parts = out.split('\0');
+  const files = [];
+  for (let i = 0; i < parts.length; i++) {
+    const code = parts[i];
+    if (!code) continue;
+    if (code[0] === 'R' || code[0] === 'C') {
+      files.push({ status: code[0], path: parts[i + 2] });
+      i += 2;
+    } else {
+      files.push({ status: code[0], path: parts[i + 1] });
+      i++;
+    }
+  }
+  return files;
+}
+
+// Changed files against HEAD, or against a session's start snapshot when base is given
+ipcMain.handle('git-diff-files', async (event, { cwd, base }) => {
+  try {
+    const root = await git(cwd, ['rev-parse', '--show-toplevel']);
+    // -uall lists the files inside new folders rather than the folder itself
+    const status = parseGitStatus(await git(root, ['status', '--porcelain=v1', '--branch', '-z', '-uall']));
+    const staged = new Set(status.files.filter(f => f.status[0] !== ' ' && f.status[0] !== '?').map(f => f.path));
+    let files = status.files.map(f => ({
+      path: f.path,
+      status: f.status === '??' ? '?' : (f.status[0] !== ' ' ? f.status[0] : f.status[1]),
+    }));
+    if (base) {
+      // Files already untracked at session start count only if the session changed them
+      const before = base.untracked || {};
+      const large = base.large || {};
+      const untracked = files.filter(f => f.status === '?');
+      const existing = untracked.filter(f => before[f.path]);
+      const now = await hashUntracked(root, existing.map(f => f.path));
+      const largeChanged = [];
+      for (const f of untracked.filter(f => large[f.path])) {
+        const stat = await fs.promises.stat(path.join(root, f.path)).catch(() => null);
+        if (stat && (stat.size !== large[f.path].size || stat.mtimeMs !== large[f.path].mtimeMs)) {
+          largeChanged.push({ ...f, status: 'M', untracked: true });
+        }
+      }
+      const changed = [
+        ...untracked.filter(f => !before[f.path] && !large[f.path]),
+        ...existing.filter(f => now[f.path] !== before[f.path]).map(f => ({ ...f, status: 'M', untracked: true })),
+        ...largeChanged,
+        ...[...Object.keys(before), ...Object.keys(large)]
+          .filter(p => !fs.existsSync(path.join(root, p)))
+          .map(p => ({ path: p, status: 'D', untracked: true })),
+      ];
+      files = parseNameStatus(await git(root, ['diff', '--name-status', '-z', base.commit])).concat(changed);
+    }
+    return { success: true, root, files: files.map(f => ({ ...f, staged: staged.has(f.path) })) };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+ipcMain.handle('git-diff-file', async (event, { root, file, base, untracked }) => {
+  try {
+    const startBlob = base && base.untracked && base.untracked[file];
+    const startSize = base && base.large && base.large[file];
+    if (startSize) {
+      // Too big to have been copied at session start; the raw text shows instead of hunks
+      const stat = await fs.promises.stat(path.join(root, file)).catch(() => null);
+      const now = stat ? `${stat.size} bytes now` : 'deleted since';
+      return { success: true, diff: `Untracked file over ${SNAPSHOT_FILE_MAX / 1024 / 1024} MB at session start (${startSize.size} bytes, ${now}); its contents weren't kept.` };
+    }
+    if (startBlob) {
+      // Untracked since before the session: compare with its contents back then
+      if (!fs.existsSync(path.join(root, file))) {
+        const lines = (await readBlob(root, startBlob)).toString('utf-8').split('\n');
+        if (lines[lines.length - 1] === '') lines.pop();
+        return { success: true, diff: `@@ -1,${lines.length} +0,0 @@\n` + lines.map(l => '-' + l).join('\n') };
+      }
+      const nowBlob = (await hashUntracked(root, [file], { write: true }))[file];
+      return { success: true, diff: await git(root, ['diff', startBlob, nowBlob], { raw: true }) };
+    }
+    if (untracked) {
+      // Untracked files have no diff; show them as entirely added
+      const lines = fs.readFileSync(path.join(root, file), 'utf-8').split('\n');
+      if (lines[lines.length - 1] === '') lines.pop();
+      return { success: true, diff: `@@ -0,0 +1,${lines.length} @@\n` + lines.map(l => '+' + l).join('\n') };
+    }
+    let diff;
+    try {
+      diff = await git(root, ['diff', base ? base.commit : 'HEAD', '--', file], { raw: true });
+    } catch (_) {
+      diff = await git(root, ['diff', '--cached', '--', file], { raw: true }); // no commits yet
+    }
+    return { success: true, diff };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+ipcMain.handle('git-stage', async (event, { root, file }) => {
+  try {
+    await git(root, ['add', '--', file]);
+    return { success: true };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// Discard a file's changes: back to HEAD (or the session's start when base is given),
+// or deleted if it didn't exist then
+ipcMain.handle('git-revert', async (event, { root, file, base }) => {
+  try {
+    const startBlob = base && base.untracked && base.untracked[file];
+    if (base && base.large && base.large[file]) {
+      throw new Error('it was too large to keep a copy of at session start');
+    }
+    const source = base ? base.commit : 'HEAD';
+    const inSource = !startBlob && await git(root, ['cat-file', '-e', `${source}:${file}`]).then(() => true, () => false);
+    if (startBlob) {
+      await git(root, ['rm', '--cached', '-f', '-q', '--ignore-unmatch', '--', file]);
+      const full = path.join(root, file);
+      fs.mkdirSync(path.dirname(full), { recursive: true });
+      fs.writeFileSync(full, await readBlob(root, startBlob));
+    } else if (inSource && base) {
+      // Only the working tree: the snapshot isn't a commit the index should point at
+      await git(root, ['restore', `--source=${source}`, '--worktree', '--', file]);
+    } else if (inSource) {
+      await git(root, ['checkout', 'HEAD', '--', file]);
+    } else {
+      await git(root, ['rm', '--cached', '-f', '-q', '--ignore-unmatch', '--', file]);
+      fs.rmSync(path.join(root, file), { force: true });
+    }
+    return { success: true };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+ipcMain.handle('terminal-get-diff-base', (event, { id }) => {
+  const term = terminals.get(id);
+  return term ? term.diffBase || null : null;
+});
+
+// ── Git worktrees ──
+// Sessions can run in their own worktree on a fresh branch, next to the repo in
+// <repo>-worktrees/. The tab keeps { repo, branch, path } so it survives restarts.
+
+ipcMain.handle('worktree-create', async (event, { cwd, name }) => {
+  try {
+    const repo = await git(cwd, ['rev-parse', '--show-toplevel']);
+    const slug = (name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'session';
+    const id = `${slug}-${Date.now().toString(36).slice(-4)}`;
+    const branch = `manifold/${id}`;
+    const dir = path.join(`${repo}-worktrees`, id);
+    await git(repo, ['worktree', 'add', '-b', branch, dir]);
+    return { success: true, worktree: { repo, branch, path: dir } };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// Recreate a restored tab's worktree if its folder was removed while we were closed
+ipcMain.handle('worktree-ensure', async (event, { repo, branch, path: dir }) => {
+  if (fs.existsSync(dir)) return { success: true };
+  try {
+    await git(repo, ['worktree', 'prune']);
+    await git(repo, ['worktree', 'add', dir, branch]);
+    return { success: true };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+ipcMain.handle('worktree-prompt', async (event, { worktree, name }) => {
+  const { response } = await dialog.showMessageBox(mainWindow, {
+    type: 'question',
+    buttons: ['Merge', 'Keep', 'Delete', 'Cancel'],
+    defaultId: 1,
+    cancelId: 3,
+    message: `Close "${name}"?`,
+    detail: `This session runs in ${worktree.path} on branch ${worktree.branch}.\n\n` +
+      'Merge: merge the branch into the repo\'s checked-out branch, then remove the worktree and branch.\n' +
+      'Keep: leave the worktree and branch as they are.\n' +
+      'Delete: remove the worktree and branch, discarding their changes.',
+  });
+  return ['merge', 'keep', 'delete', null][response];
+});
+
+ipcMain.handle('worktree-finish', async (event, { worktree, action }) => {
+  const { repo, branch, path: dir } = worktree;
+  try {
+    if (action === 'merge') {
+      // Agents usually leave their last edits uncommitted; they'd be lost with the worktree
+      const dirty = await git(dir, ['status', '--porcelain']).catch(() => '');
+      if (dirty) {
+        const { response } = await dialog.showMessageBox(mainWindow, {
+          type: 'question',
+          buttons: ['Commit and Merge', 'Cancel'],
+          defaultId: 0,
+          cancelId: 1,
+          message: `Commit the uncommitted changes on ${branch}?`,
+          detail: `${dir} has changes that aren't committed yet. They'll be committed to ${branch} before it is merged.`,
+        });
+        if (response !== 0) throw new Error(`${dir} has uncommitted changes`);
+        await git(dir, ['add', '-A']);
+        await git(dir, ['commit', '-m', `Uncommitted changes from ${branch}`]);
+      }
+      try {
+        await git(repo, ['merge', '--no-edit', branch]);
+      } catch (e) {
+        await git(repo, ['merge', '--abort']).catch(() => {});
+        throw e;
+      }
+    }
+    if (action === 'merge' || action === 'delete') {
+      await git(repo, ['worktree', 'remove', '--force', dir]);
+      await git(repo, ['branch', '-D', branch]);
+    }
+    return { success: true };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// ── Usage ──
+// Token usage comes from Claude's conversation files; prices are editable in prices.json.
+
+const PRICES_FILE = path.join(app.getPath('userData'), 'prices.json');
+
+function loadPrices() {
+  try {
+    const prices = JSON.parse(fs.readFileSync(PRICES_FILE, 'utf-8'));
+    if (prices && typeof prices === 'object' && !Array.isArray(prices)) return prices;
+  } catch (_) {}
+  return usage.DEFAULT_PRICES;
+}
+
+ipcMain.handle('usage-get-prices', () => loadPrices());
+
+ipcMain.handle('usage-set-prices', (event, prices) => {
+  try {
+    fs.mkdirSync(path.dirname(PRICES_FILE), { recursive: true });
+    fs.writeFileSync(PRICES_FILE, JSON.stringify(prices, null, 2) + '\n');
+    return { success: true };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+ipcMain.handle('usage-query', (event, range) => usage.query(CLAUDE_PROJECTS_DIR, range || {}, loadPrices()));
+
+// Totals for each running terminal's tracked conversation, keyed by terminal id
+ipcMain.handle('usage-terminals', async () => {
+  const prices = loadPrices();
+  const result = {};
+  for (const [id, term] of terminals) {
+    if (!term.conversationId || !term.projectDir) continue;
+    result[id] = await usage.conversationUsage(term.projectDir, term.conversationId, prices);
+  }
+  return result;
+});
+
+// ── Notifications ──
+// The renderer decides when to notify (it owns mute, focus and quiet-hours settings);
+// main shows the native notification and routes clicks back to the tab.
+
+const liveNotifications = new Set(); // hold references so click handlers survive GC
+
+function showWindow() {
+  if (!mainWindow || mainWindow.isDestroyed()) return;
+  mainWindow.show();
+  mainWindow.focus();
+}
+
+function showNotification({ title, body, tabId }) {
+  if (!Notification.isSupported()) return false;
+  const notification = new Notification({
+    title,
+    body,
+    icon: nativeImage.createFromPath(path.join(__dirname, 'icon.png')),
+  });
+  const release = () => liveNotifications.delete(notification);
+  notification.on('click', () => {
+    release();
+    showWindow();
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      if (tabId) mainWindow.webContents.send('focus-tab', { id: tabId });
+    }
+  });
+  notification.on('close', release);
+  liveNotifications.add(notification);
+  notification.show();
+  return true;
+}
+
+ipcMain.handle('show-notification', (event, opts) => showNotification(opts));
+
+// ── Prompt library ──
+// Prompts are { name, tags, body } lists: the personal library in userData/prompts.json,
+// and an optional shared one per project in <collection path>/.manifold/prompts.json.
+
+const PROMPTS_FILE = path.join(app.getPath('userData'), 'prompts.json');
+
+function projectPromptsFile(cwd) {
+  return path.join(cwd, '.manifold', 'prompts.json');
+}
+
+// Keep only well-formed entries, so a hand-edited or imported file can't break the picker
+function cleanPrompts(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter(p => p && typeof p.name === 'string' && p.name.trim() && typeof p.body === 'string')
+    .map(p => ({
+      name: p.name.trim(),
+      tags: Array.isArray(p.tags) ? p.tags.filter(t => typeof t === 'string' && t.trim()).map(t => t.trim()) : [],
+      body: p.body,
+    }));
+}
+
+function readPrompts(file) {
+  try {
+    return cleanPrompts(JSON.parse(fs.readFileSync(file, 'utf-8')));
+  } catch (_) {
+    return [];
+  }
+}
+
+function writePrompts(file, prompts) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(cleanPrompts(prompts), null, 2) + '\n');
+}
+
+ipcMain.handle('prompts-load', (event, { cwd }) => ({
+  global: readPrompts(PROMPTS_FILE),
+  project: cwd ? readPrompts(projectPromptsFile(cwd)) : [],
+}));
+
+// scope is 'global' or 'project' (the collection at cwd)
+ipcMain.handle('prompts-save', (event, { scope, cwd, prompts }) => {
+  try {
+    writePrompts(scope === 'project' ? projectPromptsFile(cwd) : PROMPTS_FILE, prompts);
+    return { success: true };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+ipcMain.handle('prompts-export', async () => {
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export Prompt Library',
+    defaultPath: path.join(os.homedir(), 'manifold-prompts.json'),
+    filters: [{ name: 'JSON', extensions: ['json'] }],
+  });
+  if (result.canceled || !result.filePath) return { success: false };
+  try {
+    writePrompts(result.filePath, readPrompts(PROMPTS_FILE));
+    return { success: true };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// Merge an exported library into the personal one; same-named prompts are replaced
+ipcMain.handle('prompts-import', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Import Prompt Library',
+    properties: ['openFile'],
+    filters: [{ name: 'JSON', extensions: ['json'] }],
+  });
+  if (result.canceled || !result.filePaths.length) return { success: false };
+  try {
+    const incoming = cleanPrompts(JSON.parse(fs.readFileSync(result.filePaths[0], 'utf-8')));
+    if (incoming.length === 0) return { success: false, error: 'No prompts found in that file' };
+    const names = new Set(incoming.map(p => p.name));
+    const merged = readPrompts(PROMPTS_FILE).filter(p => !names.has(p.name)).concat(incoming);
+    writePrompts(PROMPTS_FILE, merged);
+    return { success: true, count: incoming.length };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// ── Scheduled sessions ──
+// Schedules live in userData/schedules.json. Main keeps the clock: when one is due it asks
+// the renderer to open the session (which spawns it through terminal-create, tagged with
+// scheduleId), notes the run in the journal and, if asked, closes the tab once the agent
+// settles. checkedAt marks how far the clock has been accounted for, so anything due
+// between it and launch was missed while the app was closed.
+
+const SCHEDULES_FILE = path.join(app.getPath('userData'), 'schedules.json');
+const SCHEDULE_TICK_INTERVAL = 30000;
+const SCHEDULE_SETTLE_MS = 10000; // the agent must stay done this long before the run counts as finished
+const SCHEDULE_DONE_STATES = ['waiting-input', 'idle', 'errored', 'exited'];
+const SCHEDULE_MISSED_CAP = 1000;
+
+let schedules = [];
+let scheduleTickId = null;
+
+function cleanSchedule(s, previous) {
+  const now = Date.now();
+  const kept = previous || {};
+  const enabled = s.enabled !== false;
+  // Switching a schedule on or changing its timing starts its clock now, so time spent
+  // off (or due under the old expression) doesn't count as missed
+  const restart = (enabled && kept.enabled === false) || (kept.cron !== undefined && kept.cron !== String(s.cron || '').trim());
+  const checkedAt = restart ? now : (kept.checkedAt || s.checkedAt || now);
+  return {
+    id: typeof s.id === 'string' && s.id ? s.id : `sched-${now.toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name: String(s.name || '').trim() || 'Scheduled session',
+    cron: String(s.cron || '').trim(),
+    collectionPath: String(s.collectionPath || ''),
+    collectionName: String(s.collectionName || ''),
+    prompt: String(s.prompt || ''),
+    tool: s.tool || null,
+    closeWhenIdle: !!s.closeWhenIdle,
+    enabled,
+    checkedAt,
+    lastRun: kept.lastRun || s.lastRun || null,
+    missed: kept.missed || s.missed || null,
+  };
+}
+
+function loadSchedules() {
+  try {
+    const list = JSON.parse(fs.readFileSync(SCHEDULES_FILE, 'utf-8'));
+    schedules = Array.isArray(list) ? list.filter(s => s && typeof s === 'object').map(s => cleanSchedule(s, s)) : [];
+  } catch (_) {
+    schedules = [];
+  }
+}
+
+function writeSchedules() {
+  try {
+    fs.mkdirSync(path.dirname(SCHEDULES_FILE), { recursive: true });
+    fs.writeFileSync(SCHEDULES_FILE, JSON.stringify(schedules, null, 2) + '\n');
+  } catch (e) {
+    console.error('Failed to save schedules:', e);
+  }
+}
+
+function parseSchedule(s) {
+  try { return cron.parse(s.cron); } catch (_) { return null; }
+}
+
+// Schedules as shown in Settings, with the next run time and any cron error
+function describeSchedules() {
+  return schedules.map((s) => {
+    let next = null;
+    let error = null;
+    try {
+      next = s.enabled ? cron.next(cron.parse(s.cron), Date.now()) : null;
+    } catch (e) {
+      error = e.message;
+    }
+    return { ...s, next, error };
+  });
+}
+
+function scheduleCollectionName(s) {
+  return s.collectionName || path.basename(s.collectionPath) || 'Scheduled';
+}
+
+function sendSchedulesChanged() {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('schedules-changed', describeSchedules());
+  }
+}
+
+function runSchedule(s, manual) {
+  if (!mainWindow || mainWindow.isDestroyed()) return false;
+  const at = Date.now();
+  mainWindow.webContents.send('schedule-run', {
+    scheduleId: s.id,
+    name: s.name,
+    collectionPath: s.collectionPath,
+    collectionName: scheduleCollectionName(s),
+    prompt: s.prompt,
+    tool: s.tool,
+  });
+  s.lastRun = { at, status: 'running' };
+  s.missed = null;
+  const summary = s.prompt.replace(/\s+/g, ' ').trim();
+  journal.note(scheduleCollectionName(s), [
+    `${manual ? 'Manual run' : 'Scheduled run'} of "${s.name}" started${summary ? `: ${summary.length > 120 ? summary.slice(0, 120) + '…' : summary}` : ''}`,
+  ]);
+  return true;
+}
+
+function tickSchedules() {
+  const now = Date.now();
+  let changed = false;
+  for (const s of schedules) {
+    if (!s.enabled) continue;
+    const parsed = parseSchedule(s);
+    if (!parsed) continue;
+    // Several due times (e.g. after the machine slept) collapse into one run
+    if (cron.between(parsed, s.checkedAt, now, 1).length) {
+      if (!runSchedule(s, false)) continue;
+      changed = true;
+    }
+    // Only persisted with a run: the quiet time in between needs no record
+    s.checkedAt = now;
+  }
+  if (changed) {
+    writeSchedules();
+    sendSchedulesChanged();
+  }
+}
+
+// Report runs that came due while the app was closed; they are not run late
+function reportMissedRuns() {
+  const now = Date.now();
+  const missed = [];
+  for (const s of schedules) {
+    if (!s.enabled) continue;
+    const parsed = parseSchedule(s);
+    const times = parsed ? cron.between(parsed, s.checkedAt, now, SCHEDULE_MISSED_CAP) : [];
+    s.checkedAt = now;
+    if (!times.length) continue;
+    s.missed = { count: times.length, last: times[times.length - 1] };
+    missed.push(s);
+    const when = new Date(s.missed.last).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+    journal.note(scheduleCollectionName(s), [
+      `Missed ${times.length}${times.length >= SCHEDULE_MISSED_CAP ? '+' : ''} scheduled run${times.length === 1 ? '' : 's'} of "${s.name}" while Manifold was closed (last due ${when})`,
+    ]);
+  }
+  writeSchedules();
+  if (missed.length) {
+    showNotification({
+      title: 'Missed scheduled sessions',
+      body: missed.map(s => `${s.name} (${s.missed.count}×)`).join(', '),
+    });
+  }
+}
+
+function onScheduledStateChange(id, term, state) {
+  if (state === 'working') {
+    term.scheduleWorked = true;
+    return;
+  }
+  if (term.scheduleFinished || !term.scheduleWorked || !SCHEDULE_DONE_STATES.includes(state)) return;
+  // Agents pause between steps; only finish once the state has settled
+  clearTimeout(term.scheduleSettleTimer);
+  term.scheduleSettleTimer = setTimeout(() => {
+    if (terminals.get(id) !== term || !SCHEDULE_DONE_STATES.includes(term.state)) return;
+    finishScheduledRun(id, term);
+  }, SCHEDULE_SETTLE_MS);
+}
+
+function finishScheduledRun(id, term) {
+  term.scheduleFinished = true;
+  const s = schedules.find(x => x.id === term.scheduleId);
+  if (!s) return;
+  const status = term.state === 'errored' ? 'errored' : 'finished';
+  const minutes = Math.max(1, Math.round((Date.now() - term.spawnTime) / 60000));
+  s.lastRun = { ...(s.lastRun || { at: term.spawnTime }), status, finishedAt: Date.now() };
+  writeSchedules();
+  sendSchedulesChanged();
+  journal.note(scheduleCollectionName(s), [`Scheduled run of "${s.name}" ${status} after ${minutes} min`]);
+  if (s.closeWhenIdle && mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('schedule-close-tab', { id });
+  }
+}
+
+function startScheduler() {
+  loadSchedules();
+  reportMissedRuns();
+  scheduleTickId = setInterval(tickSchedules, SCHEDULE_TICK_INTERVAL);
+}
+
+ipcMain.handle('schedules-load', () => describeSchedules());
+
+ipcMain.handle('schedules-save', (event, list) => {
+  if (!Array.isArray(list)) return { success: false, error: 'Invalid schedule list' };
+  for (const s of list) {
+    try {
+      cron.parse(s.cron);
+    } catch (e) {
+      return { success: false, error: `${s.name || 'Schedule'}: ${e.message}` };
+    }
+    if (!s.collectionPath) return { success: false, error: `${s.name || 'Schedule'}: pick a collection` };
+  }
+  const previous = new Map(schedules.map(s => [s.id, s]));
+  schedules = list.map(s => cleanSchedule(s, previous.get(s.id)));
+  writeSchedules();
+  return { success: true, schedules: describeSchedules() };
+});
+
+// Next run time for an expression being typed, or why it doesn't parse
+ipcMain.handle('schedule-preview', (event, expr) => {
+  try {
+    return { next: cron.next(cron.parse(expr), Date.now()) };
+  } catch (e) {
+    return { error: e.message };
+  }
+});
+
+ipcMain.handle('schedule-run-now', (event, { id }) => {
+  const s = schedules.find(x => x.id === id);
+  if (!s || !runSchedule(s, true)) return false;
+  writeSchedules();
+  sendSchedulesChanged();
+  return true;
+});
+
+// ── Control API ──
+// Opt-in local HTTP API (see control.js) for scripts and editors. Tabs and collections
+// belong to the renderer, so listing, creating, typing and closing are forwarded to it
+// and answered over control-response; raw input and output are served from here.
+
+const CONTROL_FILE = path.join(app.getPath('userData'), 'control.json');
+const CONTROL_REQUEST_TIMEOUT = 10000;
+const CONTROL_OUTPUT_MAX_LINES = 400; // the journal ring buffer's size
+
+const controlRequests = new Map(); // reqId → { resolve, reject, timer }
+let controlRequestSeq = 0;
+
+function rendererRequest(action, params) {
+  if (!mainWindow || mainWindow.isDestroyed()) return Promise.reject(control.httpError(503, 'Window is not ready'));
+  const reqId = ++controlRequestSeq;
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      controlRequests.delete(reqId);
+      reject(control.httpError(504, 'The window did not answer'));
+    }, CONTROL_REQUEST_TIMEOUT);
+    controlRequests.set(reqId, { resolve, reject, timer });
+    mainWindow.webContents.send('control-request', { reqId, action, params });
+  });
+}
+
+ipcMain.on('control-response', (event, { reqId, result, error, status }) => {
+  const pending = controlRequests.get(reqId);
+  if (!pending) return;
+  controlRequests.delete(reqId);
+  clearTimeout(pending.timer);
+  if (error) pending.reject(control.httpError(status || 400, error));
+  else pending.resolve(result);
+});
+
+function controlTerminal(id) {
+  const term = terminals.get(id);
+  if (!term) throw control.httpError(404, `No session ${id}`);
+  return term;
+}
+
+const CONTROL_ROUTES = [
+  {
+    method: 'GET',
+    pattern: /^\/collections$/,
+    handler: () => rendererRequest('list'),
+  },
+  {
+    // { collection?: name | path | index, cwd?, tool?, kind?: 'agent' | 'shell', name?, prompt? }
+    method: 'POST',
+    pattern: /^\/sessions$/,
+    handler: async (match, body) => {
+      if (body.cwd !== undefined && body.cwd !== null && body.cwd !== '') {
+        const isDir = typeof body.cwd === 'string' && path.isAbsolute(body.cwd)
+          && await fs.promises.stat(body.cwd).then(st => st.isDirectory(), () => false);
+        if (!isDir) throw control.httpError(400, `"cwd" must be an existing directory's absolute path`);
+      }
+      return rendererRequest('create', body);
+    },
+  },
+  {
+    method: 'GET',
+    pattern: /^\/sessions\/([\w-]+)$/,
+    handler: ([, id]) => {
+      const term = controlTerminal(id);
+      return { id, state: term.state, since: term.stateSince, alive: term.alive, tool: term.toolKey, cwd: term.cwd, conversationId: term.conversationId };
+    },
+  },
+  {
+    // { text, submit?: true } is typed like a paste and submitted; { data } is written raw
+    method: 'POST',
+    pattern: /^\/sessions\/([\w-]+)\/input$/,
+    handler: ([, id], body) => {
+      const term = controlTerminal(id);
+      if (typeof body.data === 'string') {
+        if (!term.alive) throw control.httpError(409, 'Session has exited');
+        term.detector.noteInput();
+        if (body.data.includes('\r')) noteSubmit(term);
+        term.pty.write(body.data);
+        return {};
+      }
+      if (typeof body.text !== 'string') throw control.httpError(400, 'Send "text" or "data"');
+      return rendererRequest('input', { id, text: body.text, submit: body.submit !== false });
+    },
+  },
+  {
+    method: 'GET',
+    pattern: /^\/sessions\/([\w-]+)\/output$/,
+    handler: ([, id], body, query) => {
+      controlTerminal(id);
+      const count = Math.min(parseInt(query.get('lines'), 10) || 100, CONTROL_OUTPUT_MAX_LINES);
+      return { id, lines: journal.getBufferLines(id, count) || [] };
+    },
+  },
+  {
+    method: 'DELETE',
+    pattern: /^\/sessions\/([\w-]+)$/,
+    handler: ([, id]) => {
+      controlTerminal(id);
+      return rendererRequest('close', { id });
+    },
+  },
+];
+
+ipcMain.handle('control-api-set', async (event, { enabled }) => {
+  if (!enabled) {
+    control.stop();
+    return { success: true, info: null };
+  }
+  try {
+    await control.start({ file: CONTROL_FILE, routes: CONTROL_ROUTES });
+    return { success: true, info: { url: control.info().url, file: CONTROL_FILE } };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// ── Keybindings ──
+// userData/keybindings.json overrides the default bindings, keyed by action id:
+//   "new-session": "Ctrl+T", "new-collection": ["Ctrl+Y"], "journal": null,
+//   "prompt-library": { "keys": "Ctrl+Shift+L", "passThrough": true }
+// The renderer owns the in-app actions; main registers the system-wide window toggle.
+
+const KEYBINDINGS_FILE = path.join(app.getPath('userData'), 'keybindings.json');
+const TOGGLE_ACTION = 'toggle-window';
+const DEFAULT_TOGGLE_KEYS = [IS_MAC ? 'Command+Shift+C' : 'Super+C'];
+let toggleKeys = [];
+let toggleErrors = [];
+
+function readKeybindings() {
+  try {
+    const bindings = JSON.parse(fs.readFileSync(KEYBINDINGS_FILE, 'utf-8'));
+    if (!bindings || typeof bindings !== 'object' || Array.isArray(bindings)) {
+      return { bindings: {}, error: 'keybindings.json must be an object of action ids' };
+    }
+    return { bindings, error: null };
+  } catch (e) {
+    return { bindings: {}, error: e.code === 'ENOENT' ? null : `keybindings.json: ${e.message}` };
+  }
+}
+
+// A binding's keys: a string, a list, null (disabled) or { keys }; absent means the default
+function bindingKeys(value, fallback) {
+  if (value === undefined) return fallback;
+  const keys = value && typeof value === 'object' && !Array.isArray(value) ? value.keys : value;
+  if (keys === null || keys === undefined) return [];
+  return (Array.isArray(keys) ? keys : [keys]).filter(k => typeof k === 'string' && k.trim());
+}
+
+function toggleWindow() {
+  if (mainWindow.isVisible()) {
+    mainWindow.webContents.send('save-state');
+    mainWindow.hide();
+  } else {
+    mainWindow.show();
+    mainWindow.maximize();
+    mainWindow.focus();
+  }
+}
+
+function registerToggleShortcut() {
+  for (const key of toggleKeys) {
+    try { globalShortcut.unregister(key); } catch (_) {}
+  }
+  toggleKeys = bindingKeys(readKeybindings().bindings[TOGGLE_ACTION], DEFAULT_TOGGLE_KEYS);
+  toggleErrors = [];
+  for (const key of toggleKeys) {
+    let ok = false;
+    try { ok = globalShortcut.register(key, toggleWindow); } catch (_) {}
+    // Fails when another app already owns the combination, or it isn't a valid accelerator
+    if (!ok) toggleErrors.push(`${key} could not be registered (in use by another app, or not a valid key)`);
+  }
+}
+
+// Re-reads the file, so hand edits to the window toggle apply here too
+ipcMain.handle('keybindings-load', () => {
+  registerToggleShortcut();
+  const { bindings, error } = readKeybindings();
+  return { bindings, error, toggleDefault: DEFAULT_TOGGLE_KEYS, toggleErrors };
+});
+
+// bindings: only the actions that differ from their defaults
+ipcMain.handle('keybindings-save', (event, bindings) => {
+  try {
+    fs.mkdirSync(path.dirname(KEYBINDINGS_FILE), { recursive: true });
+    fs.writeFileSync(KEYBINDINGS_FILE, JSON.stringify(bindings, null, 2) + '\n');
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+  registerToggleShortcut();
+  return { success: true, toggleErrors };
+});
+
+ipcMain.handle('open-keybindings-file', async () => {
+  try {
+    if (!fs.existsSync(KEYBINDINGS_FILE)) {
+      fs.mkdirSync(path.dirname(KEYBINDINGS_FILE), { recursive: true });
+      fs.writeFileSync(KEYBINDINGS_FILE, '{}\n');
+    }
+    const err = await shell.openPath(KEYBINDINGS_FILE);
+    return err ? { success: false, error: err } : { success: true, path: KEYBINDINGS_FILE };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// ── Themes ──
+// Built-in themes live in themes.js; user themes are *.json files in userData/themes.
+// Re-read on every load so a saved edit shows up when the picker is reopened.
+
+const THEMES_DIR = path.join(app.getPath('userData'), 'themes');
+
+ipcMain.handle('themes-load', () => themes.load(THEMES_DIR));
+
+ipcMain.handle('open-themes-folder', async () => {
+  try {
+    fs.mkdirSync(THEMES_DIR, { recursive: true });
+    const err = await shell.openPath(THEMES_DIR);
+    return err ? { success: false, error: err } : { success: true, path: THEMES_DIR };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// ── Folder picker ──
+
+ipcMain.handle('pick-folder', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openDirectory'],
+    title: 'New Collection — Select Project Folder',
+    defaultPath: os.homedir(),
+  });
+  if (result.canceled || !result.filePaths.length) return null;
+  return result.filePaths[0];
+});
+
+// ── Command line ──
+// One instance at a time: launching again (`manifold /path/to/repo`, optionally with
+// `--prompt "..."`, or `manifold open ...`) hands its arguments to the running window,
+// which opens or selects a collection for the path. Requests wait until the renderer
+// has restored its state.
+
+const gotInstanceLock = app.requestSingleInstanceLock();
+let cliReady = false;
+const cliRequests = [];
+
+// argv includes the executable (and the app path when run unpackaged) plus Chromium switches
+function parseCommandLine(argv, workingDirectory) {
+  const args = argv.slice(process.defaultApp ? 2 : 1);
+  let prompt = null;
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--prompt' || arg === '-p') prompt = args[++i] || null;
+    else if (arg.startsWith('--prompt=')) prompt = arg.slice('--prompt='.length);
+    else if (!arg.startsWith('-')) positional.push(arg);
+  }
+  if (positional[0] === 'open') positional.shift();
+  if (!positional.length && !prompt) return null;
+
+  const dir = path.resolve(workingDirectory || process.cwd(), positional[0] || '.');
+  try {
+    if (!fs.statSync(dir).isDirectory()) return { error: `Not a folder: ${dir}` };
+  } catch (_) {
+    return { error: `No such folder: ${dir}` };
+  }
+  return { path: dir, prompt };
+}
+
+function handleCommandLine(argv, workingDirectory) {
+  const request = parseCommandLine(argv, workingDirectory);
+  if (!request) return;
+  if (request.error) {
+    showNotification({ title: 'Manifold', body: request.error });
+    return;
+  }
+  if (cliReady && mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('cli-open', request);
+  else cliRequests.push(request);
+}
+
+if (gotInstanceLock) {
+  app.on('second-instance', (event, argv, workingDirectory) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      if (mainWindow.isMinimized()) mainWindow.restore();
+      showWindow();
+    }
+    handleCommandLine(argv, workingDirectory);
+  });
+} else {
+  app.quit();
+}
+
+// The renderer calls this once its workspace is restored and takes any queued requests
+ipcMain.handle('cli-ready', () => {
+  cliReady = true;
+  return cliRequests.splice(0);
+});
+
+// ── App lifecycle ──
+
+app.whenReady().then(() => {
+  if (!gotInstanceLock) return;
+  const editMenu = {
+    label: 'Edit',
+    submenu: [
+      { role: 'undo' },
+      { role: 'redo' },
+      { type: 'separator' },
+      { role: 'cut' },
+      { role: 'copy' },
+      { role: 'paste' },
+      { role: 'selectAll' },
+    ],
   };
 
   if (IS_MAC) {
@@ -616,20 +2321,14 @@ app.whenReady().then(() => {
     Menu.setApplicationMenu(Menu.buildFromTemplate([editMenu]));
   }
 
+  loadUserTools();
   createWindow();
   journal.start(getToolConfig);
+  statePollId = setInterval(pollAgentStates, STATE_POLL_INTERVAL);
+  startScheduler();
+  handleCommandLine(process.argv, process.cwd());
 
-  const toggleKey = IS_MAC ? 'Command+Shift+C' : 'Super+C';
-  globalShortcut.register(toggleKey, () => {
-    if (mainWindow.isVisible()) {
-      mainWindow.webContents.send('save-state');
-      mainWindow.hide();
-    } else {
-      mainWindow.show();
-      mainWindow.maximize();
-      mainWindow.focus();
-    }
-  });
+  registerToggleShortcut();
 
   app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) {
@@ -647,6 +2346,9 @@ app.on('window-all-closed', () => {
 });
 
 app.on('will-quit', () => {
+  if (statePollId) clearInterval(statePollId);
+  if (scheduleTickId) clearInterval(scheduleTickId);
+  control.stop();
   journal.stop();
   destroyAllTerminals();
   globalShortcut.unregisterAll();
@@ -4,17 +4,29 @@ contextBridge.exposeInMainWorld('manifold', {
   // Environment
   getHomeDir: () => ipcRenderer.invoke('get-home-dir'),
   getPlatform: () => ipcRenderer.invoke('get-platform'),
+  setEnvSecrets: (id, set, keep) => ipcRenderer.invoke('env-secrets-set', { id, set, keep }),
+  clearEnvSecrets: (id) => ipcRenderer.invoke('env-secrets-clear', { id }),
+  canEncryptSecrets: () => ipcRenderer.invoke('env-secrets-encryption'),
+  previewEnvFiles: (dir) => ipcRenderer.invoke('env-files-preview', { dir }),
 
   // Terminal
   createTerminal: (opts) => ipcRenderer.invoke('terminal-create', opts),
   sendInput: (id, data) => ipcRenderer.send('terminal-input', { id, data }),
   resizeTerminal: (id, cols, rows) => ipcRenderer.send('terminal-resize', { id, cols, rows }),
   destroyTerminal: (id) => ipcRenderer.send('terminal-destroy', { id }),
-  isTerminalActive: (tabId) => ipcRenderer.invoke('terminal-is-active', { id: tabId }),
+  restartTerminal: (id, opts) => ipcRenderer.invoke('terminal-restart', { id, ...opts }),
+  getTerminalState: (tabId) => ipcRenderer.invoke('terminal-get-state', { id: tabId }),
   getConversationId: (tabId) => ipcRenderer.invoke('terminal-get-conversation-id', { id: tabId }),
+  listConversations: (cwd) => ipcRenderer.invoke('conversation-list', { cwd }),
   onTerminalData: (callback) => {
     ipcRenderer.on('terminal-data', (event, { id, data }) => callback(id, data));
   },
+  onTerminalState: (callback) => {
+    ipcRenderer.on('terminal-state', (event, { id, ...info }) => callback(id, info));
+  },
+  onTerminalExit: (callback) => {
+    ipcRenderer.on('terminal-exit', (event, { id, ...info }) => callback(id, info));
+  },
   onTerminalAutoName: (callback) => {
     ipcRenderer.on('terminal-auto-name', (event, { id, name }) => callback(id, name));
   },
@@ -23,16 +35,91 @@ contextBridge.exposeInMainWorld('manifold', {
   saveState: (state) => ipcRenderer.invoke('save-state', state),
   loadState: () => ipcRenderer.invoke('load-state'),
   onSaveState: (callback) => ipcRenderer.on('save-state', callback),
+  notifySaveStateDone: () => ipcRenderer.send('save-state-done'),
+  saveScrollback: (entries, keep) => ipcRenderer.invoke('scrollback-save', { entries, keep }),
+  loadScrollback: (uid) => ipcRenderer.invoke('scrollback-load', uid),
   onWindowFocus: (callback) => ipcRenderer.on('window-focus', callback),
 
+  // Git
+  getGitStatus: (paths) => ipcRenderer.invoke('git-status', { paths }),
+
+  getDiffFiles: (cwd, base) => ipcRenderer.invoke('git-diff-files', { cwd, base }),
+  getFileDiff: (opts) => ipcRenderer.invoke('git-diff-file', opts),
+  stageFile: (root, file) => ipcRenderer.invoke('git-stage', { root, file }),
+  revertFile: (root, file, base) => ipcRenderer.invoke('git-revert', { root, file, base }),
+  getDiffBase: (tabId) => ipcRenderer.invoke('terminal-get-diff-base', { id: tabId }),
+
+  // Git worktrees
+  createWorktree: (cwd, name) => ipcRenderer.invoke('worktree-create', { cwd, name }),
+  ensureWorktree: (worktree) => ipcRenderer.invoke('worktree-ensure', worktree),
+  promptWorktreeClose: (worktree, name) => ipcRenderer.invoke('worktree-prompt', { worktree, name }),
+  finishWorktree: (worktree, action) => ipcRenderer.invoke('worktree-finish', { worktree, action }),
+
+  // Prompt library
+  loadPrompts: (cwd) => ipcRenderer.invoke('prompts-load', { cwd }),
+  savePrompts: (scope, cwd, prompts) => ipcRenderer.invoke('prompts-save', { scope, cwd, prompts }),
+  exportPrompts: () => ipcRenderer.invoke('prompts-export'),
+  importPrompts: () => ipcRenderer.invoke('prompts-import'),
+
+  // Scheduled sessions
+  loadSchedules: () => ipcRenderer.invoke('schedules-load'),
+  saveSchedules: (list) => ipcRenderer.invoke('schedules-save', list),
+  previewSchedule: (expr) => ipcRenderer.invoke('schedule-preview', expr),
+  runScheduleNow: (id) => ipcRenderer.invoke('schedule-run-now', { id }),
+  onScheduleRun: (callback) => {
+    ipcRenderer.on('schedule-run', (event, run) => callback(run));
+  },
+  onScheduleCloseTab: (callback) => {
+    ipcRenderer.on('schedule-close-tab', (event, { id }) => callback(id));
+  },
+  onSchedulesChanged: (callback) => {
+    ipcRenderer.on('schedules-changed', (event, list) => callback(list));
+  },
+
+  // Control API
+  setControlApi: (enabled) => ipcRenderer.invoke('control-api-set', { enabled }),
+  onControlRequest: (callback) => {
+    ipcRenderer.on('control-request', (event, request) => callback(request));
+  },
+  sendControlResponse: (response) => ipcRenderer.send('control-response', response),
+
+  // Usage
+  queryUsage: (range) => ipcRenderer.invoke('usage-query', range),
+  getTerminalUsage: () => ipcRenderer.invoke('usage-terminals'),
+  getPrices: () => ipcRenderer.invoke('usage-get-prices'),
+  setPrices: (prices) => ipcRenderer.invoke('usage-set-prices', prices),
+
+  // Notifications
+  showNotification: (opts) => ipcRenderer.invoke('show-notification', opts),
+  onFocusTab: (callback) => {
+    ipcRenderer.on('focus-tab', (event, { id }) => callback(id));
+  },
+
+  // Keybindings
+  loadKeybindings: () => ipcRenderer.invoke('keybindings-load'),
+  saveKeybindings: (bindings) => ipcRenderer.invoke('keybindings-save', bindings),
+  openKeybindingsFile: () => ipcRenderer.invoke('open-keybindings-file'),
+
+  // Themes
+  loadThemes: () => ipcRenderer.invoke('themes-load'),
+  openThemesFolder: () => ipcRenderer.invoke('open-themes-folder'),
+
   // Dialogs
   pickFolder: () => ipcRenderer.invoke('pick-folder'),
 
+  // Command line
+  cliReady: () => ipcRenderer.invoke('cli-ready'),
+  onCliOpen: (callback) => {
+    ipcRenderer.on('cli-open', (event, request) => callback(request));
+  },
+
   // Tool selection
   detectTools: () => ipcRenderer.invoke('detect-tools'),
   installTool: (toolKey) => ipcRenderer.invoke('install-tool', toolKey),
   setSelectedTool: (toolKey) => ipcRenderer.invoke('set-selected-tool', toolKey),
   getToolConfigs: () => ipcRenderer.invoke('get-tool-configs'),
+  getToolConfigErrors: () => ipcRenderer.invoke('get-tool-config-errors'),
+  openToolsFile: () => ipcRenderer.invoke('open-tools-file'),
 
   // Journal
   listJournalDates: () => ipcRenderer.invoke('journal-list-dates'),
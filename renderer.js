@@ -1,17 +1,30 @@
-/* xterm and FitAddon loaded via script tags */
+/* xterm and its addons loaded via script tags */
 const Terminal = globalThis.Terminal;
 const FitAddon = (globalThis.FitAddon || {}).FitAddon;
+const SerializeAddon = (globalThis.SerializeAddon || {}).SerializeAddon;
+const SearchAddon = (globalThis.SearchAddon || {}).SearchAddon;
 
 if (!Terminal) console.error('xterm Terminal not loaded!');
 if (!FitAddon) console.error('FitAddon not loaded!');
+if (!SerializeAddon) console.error('SerializeAddon not loaded!');
+if (!SearchAddon) console.error('SearchAddon not loaded!');
+
+// Lines of scrollback saved per tab across restarts (main also caps the size)
+const SCROLLBACK_SAVE_LINES = 5000;
 
 // Home directory - resolved async at startup
 let homeDir = '/';
 
-// Selected CLI tool: 'claude' | 'gemini' | 'codex'
+// Default CLI tool for new collections: 'claude' | 'gemini' | 'codex'
+// Collections (col.tool) and individual tabs (tab.tool) may override it.
 let currentTool = null;
 
-const TOOL_NAMES = { claude: 'Claude Code', gemini: 'Gemini CLI', codex: 'Codex CLI' };
+// Tool registry from main (built-ins plus tools.json): key -> { name, binary, custom }
+let toolConfigs = {};
+
+function toolName(key) {
+  return (toolConfigs[key] && toolConfigs[key].name) || key;
+}
 
 // ── State ──
 const state = {
@@ -21,7 +34,7 @@ const state = {
   gridCollection: null,
 };
 
-// Terminal instances: tabId -> { terminal, fitAddon, element }
+// Terminal instances: tabId -> { terminal, fitAddon, serializeAddon, searchAddon, element }
 const terminalInstances = new Map();
 let tabIdCounter = 0;
 
@@ -33,6 +46,9 @@ const terminalGrid = document.getElementById('terminal-grid');
 // ── Helpers ──
 function genTabId() { return `tab-${++tabIdCounter}`; }
 
+// Tab ids are per-launch; uids survive restarts and key per-tab files like scrollback
+function genTabUid() { return crypto.randomUUID(); }
+
 function getActiveCollection() {
   return state.collections[state.activeCollectionIdx] || null;
 }
@@ -43,6 +59,25 @@ function getActiveTab() {
   return col.tabs[state.activeTabIdx] || null;
 }
 
+// Tool that owns a tab: tab override, then collection, then the global default
+function getTabTool(col, tab) {
+  if (tab && tab.kind === 'shell') return null;
+  return (tab && tab.tool) || (col && col.tool) || currentTool;
+}
+
+function isShellTab(tab) {
+  return !!tab && tab.kind === 'shell';
+}
+
+function findTabById(tabId) {
+  for (let ci = 0; ci < state.collections.length; ci++) {
+    const col = state.collections[ci];
+    const ti = col.tabs.findIndex(t => t.id === tabId);
+    if (ti >= 0) return { ci, ti, col, tab: col.tabs[ti] };
+  }
+  return null;
+}
+
 // ── Terminal helpers ──
 function fitTerminal(tabId) {
   const inst = terminalInstances.get(tabId);
@@ -52,6 +87,15 @@ function fitTerminal(tabId) {
   scrollTerminalToBottom(inst);
 }
 
+// Type text into a session like a paste: newlines become Enter, wrapped in bracketed
+// paste when the program asked for it so multi-line text isn't submitted line by line
+function pasteToSession(tab, text) {
+  const inst = terminalInstances.get(tab.id);
+  let data = text.replace(/\r?\n/g, '\r');
+  if (inst && inst.terminal.modes.bracketedPasteMode) data = `\x1b[200~${data}\x1b[201~`;
+  manifold.sendInput(tab.id, data);
+}
+
 function scrollTerminalToBottom(inst) {
   inst.terminal.scrollToBottom();
   // xterm renders async after fit() — scroll again after render settles
@@ -64,50 +108,79 @@ function scrollTerminalToBottom(inst) {
 }
 
 // ── Terminal creation ──
-function createTerminalInstance(tabId, cwd, conversationId, name, collectionName, prompt) {
+// tab: { id, uid, name, cwd, tool, kind, conversationId } as stored in state.collections
+// restored: serialized scrollback from a previous run, replayed before the new pty output
+function createTerminalInstance(tab, col, prompt, restored) {
+  const tabId = tab.id;
+  if (!tab.uid) tab.uid = genTabUid();
   const term = new Terminal({
     cursorBlink: true,
     scrollback: 50000,
+    allowProposedApi: true, // search match decorations
     fontFamily: '"Share Tech Mono", monospace',
     fontSize: 14,
-    theme: {
-      background: '#1a1a1a',
-      foreground: '#d0d0d0',
-      cursor: '#D97757',
-      black: '#2e3436',
-      red: '#cc0000',
-      green: '#4e9a06',
-      yellow: '#c4a000',
-      blue: '#3465a4',
-      magenta: '#75507b',
-      cyan: '#06989a',
-      white: '#d3d7cf',
-      brightBlack: '#555753',
-      brightRed: '#ef2929',
-      brightGreen: '#8ae234',
-      brightYellow: '#fce94f',
-      brightBlue: '#729fcf',
-      brightMagenta: '#ad7fa8',
-      brightCyan: '#34e2e2',
-      brightWhite: '#eeeeec',
-    },
+    theme: collectionTheme(col) ? collectionTheme(col).terminal : undefined,
   });
 
   const fitAddon = new FitAddon();
   term.loadAddon(fitAddon);
+  const serializeAddon = SerializeAddon ? new SerializeAddon() : null;
+  if (serializeAddon) term.loadAddon(serializeAddon);
+  const searchAddon = SearchAddon ? new SearchAddon() : null;
+  if (searchAddon) {
+    term.loadAddon(searchAddon);
+    searchAddon.onDidChangeResults((results) => onSearchResults(tabId, results));
+  }
+
+  if (restored) {
+    term.write(restored);
+    term.write('\r\n\x1b[0m\x1b[2m── restored session ──\x1b[0m\r\n\r\n');
+  }
 
   const el = document.createElement('div');
   el.className = 'terminal-container';
   el.style.width = '100%';
   el.style.height = '100%';
+  setThemeVars(el, collectionOverrideTheme(col));
+
+  terminalInstances.set(tabId, { terminal: term, fitAddon, serializeAddon, searchAddon, element: el });
+
+  // Spawn backend pty — pass conversationId for --resume if available, or a template's prompt
+  manifold.createTerminal({
+    id: tabId,
+    cwd: tab.cwd,
+    conversationId: tab.conversationId || null,
+    name: tab.name || tabId,
+    collectionName: col ? col.name : '',
+    prompt: prompt || null,
+    tool: getTabTool(col, tab),
+    kind: tab.kind || 'agent',
+    env: tab.env || null,
+    autoApprove: tab.autoApprove !== false,
+    scheduleId: tab.scheduleId || null,
+    collectionEnv: collectionEnvSpec(col),
+  }).then((result) => {
+    // Pin the tool it actually launched with, so a later change to the collection's tool
+    // doesn't relaunch this tab (and its conversation) with a different one after a restart.
+    // The next save writes it.
+    if (result && result.tool && !isShellTab(tab)) tab.tool = result.tool;
+  });
 
-  terminalInstances.set(tabId, { terminal: term, fitAddon, element: el });
-
-  // Spawn backend pty — pass conversationId for --resume if available, or prompt for GSD mode
-  manifold.createTerminal({ id: tabId, cwd, conversationId: conversationId || null, name: name || tabId, collectionName: collectionName || '', prompt: prompt || null });
+  tab.spawnedAt = Date.now();
 
-  // Pipe input to pty
-  term.onData((data) => manifold.sendInput(tabId, data));
+  // Pipe input to pty — once the whole session has exited, Enter restarts it
+  term.onData((data) => {
+    if (tab.exit && tab.exit.scope === 'session') {
+      if (data === '\r') restartTab(tab);
+      return;
+    }
+    manifold.sendInput(tabId, data);
+    if (!TERMINAL_REPLY_RE.test(data)) {
+      for (const target of broadcastTargets(tab)) {
+        if (!target.exit || target.exit.scope !== 'session') manifold.sendInput(target.id, data);
+      }
+    }
+  });
 
   // Open terminal (double RAF to let DOM fully settle before measuring)
   requestAnimationFrame(() => {
@@ -115,7 +188,7 @@ function createTerminalInstance(tabId, cwd, conversationId, name, collectionName
     requestAnimationFrame(() => fitTerminal(tabId));
   });
 
-  return { terminal: term, fitAddon, element: el };
+  return { terminal: term, fitAddon, serializeAddon, searchAddon, element: el };
 }
 
 // ── Terminal cleanup ──
@@ -135,6 +208,82 @@ manifold.onTerminalData((id, data) => {
   if (inst) inst.terminal.write(data);
 });
 
+// ── Exit detection and restart ──
+// tab.exit is runtime-only: { exitCode, signal, scope } where scope is 'tool' (the
+// CLI exited but its fallback shell is still running) or 'session' (the pty is gone).
+
+const AUTO_RESTART_MAX_ATTEMPTS = 5;
+const AUTO_RESTART_STABLE_MS = 60000; // a session that ran this long resets the backoff
+
+function describeExit(exit) {
+  if (!exit) return '';
+  const what = exit.scope === 'tool' ? 'tool exited' : 'exited';
+  if (exit.signal) return `${what} (signal ${exit.signal})`;
+  return `${what} (code ${exit.exitCode})`;
+}
+
+function isCrash(exit) {
+  return !!exit && (exit.exitCode !== 0 || !!exit.signal);
+}
+
+manifold.onTerminalExit((id, info) => {
+  const found = findTabById(id);
+  if (!found) return;
+  const { col, tab } = found;
+
+  tab.exit = info;
+  const inst = terminalInstances.get(id);
+  if (inst) {
+    const hint = info.scope === 'session' ? ' — press Enter to restart' : '';
+    inst.terminal.write(`\r\n\x1b[2m[${describeExit(info)}${hint}]\x1b[0m\r\n`);
+  }
+
+  notifyTab(found, 'exit', describeExit(info).replace(/^./, c => c.toUpperCase()));
+  if (col.autoRestart && isCrash(info)) scheduleAutoRestart(tab);
+  renderCollections();
+  refreshGridCell(tab);
+});
+
+function scheduleAutoRestart(tab) {
+  if (tab.restartTimer) return;
+  if (Date.now() - (tab.spawnedAt || 0) > AUTO_RESTART_STABLE_MS) tab.restartAttempts = 0;
+  const attempts = tab.restartAttempts || 0;
+  const inst = terminalInstances.get(tab.id);
+  if (attempts >= AUTO_RESTART_MAX_ATTEMPTS) {
+    if (inst) inst.terminal.write('\x1b[2m[auto-restart gave up after repeated crashes]\x1b[0m\r\n');
+    return;
+  }
+  const delay = Math.min(30000, 1000 * 2 ** attempts);
+  if (inst) inst.terminal.write(`\x1b[2m[auto-restarting in ${Math.round(delay / 1000)}s]\x1b[0m\r\n`);
+  tab.restartTimer = setTimeout(() => {
+    tab.restartTimer = null;
+    tab.restartAttempts = attempts + 1;
+    // The tab may have been closed or restarted by hand while we waited
+    if (findTabById(tab.id) && tab.exit) restartTab(tab, true);
+  }, delay);
+}
+
+async function restartTab(tab, automatic = false) {
+  const found = findTabById(tab.id);
+  if (!found) return;
+  if (tab.restartTimer) { clearTimeout(tab.restartTimer); tab.restartTimer = null; }
+  if (!automatic) tab.restartAttempts = 0;
+
+  tab.exit = null;
+  tab.spawnedAt = Date.now();
+  const inst = terminalInstances.get(tab.id);
+  if (inst) inst.terminal.write('\r\n\x1b[2m── restarting session ──\x1b[0m\r\n');
+
+  renderCollections();
+  refreshGridCell(tab);
+  await manifold.restartTerminal(tab.id, {
+    name: tab.name,
+    collectionName: found.col.name,
+    collectionEnv: collectionEnvSpec(found.col),
+  });
+  if (inst) fitTerminal(tab.id);
+}
+
 // ── Auto-naming ──
 manifold.onTerminalAutoName((id, name) => {
   // Find the tab with this ID and update its name (only if still default)
@@ -156,30 +305,42 @@ function renderCollections() {
   state.collections.forEach((col, ci) => {
     const colEl = document.createElement('div');
     colEl.className = 'collection';
+    setThemeVars(colEl, collectionOverrideTheme(col));
     colEl.innerHTML = `
-      <div class="collection-header" data-ci="${ci}">
+      <div class="collection-header ${col.broadcast ? 'broadcast' : ''}" data-ci="${ci}">
         <span class="collection-arrow">${col.expanded ? '\u25BC' : '\u25B6'}</span>
+        <span class="collection-state ${stateDotClass(getCollectionState(col))}" data-ci="${ci}" title="${STATE_LABELS[getCollectionState(col)]}">${'\u2022'}</span>
         <div class="collection-info">
-          <span class="collection-name">${escHtml(col.name)}</span>
+          <span class="collection-name">${escHtml(col.name)}${col.muted ? ' <span class="collection-muted" title="Notifications muted">\u{1F507}</span>' : ''}</span>
           <span class="collection-path">${escHtml(col.path)}</span>
+          <span class="git-badge collection-git" data-gitpath="${escAttr(col.path)}"></span>
         </div>
         <input class="collection-rename" type="text" value="${escAttr(col.name)}">
         <div class="collection-btns">
-          <button class="gsd-btn" data-ci="${ci}" title="Plan — orchestrated execution">Plan</button>
+          <button class="tool-btn" data-ci="${ci}" title="CLI tool for new sessions in this collection">${escHtml(col.tool || currentTool || '')}</button>
+          <button class="template-btn" data-ci="${ci}" title="New from template">${'\u25BE'}</button>
+          <button class="collection-btn shell-btn" data-ci="${ci}" title="New shell">$</button>
           <button class="collection-btn grid-btn" data-ci="${ci}" title="Grid view">${'\u229E'}</button>
           <button class="collection-btn-del del-btn" data-ci="${ci}" title="Delete collection">${'\u2715'}</button>
-          <button class="collection-btn add-btn" data-ci="${ci}" title="New session">+</button>
+          <button class="collection-btn add-btn" data-ci="${ci}" title="New session (Shift+click to choose tool)">+</button>
         </div>
       </div>
       <div class="collection-body ${col.expanded ? '' : 'collapsed'}" data-ci="${ci}">
         ${col.tabs.map((tab, ti) => `
-          <div class="tab-row ${ci === state.activeCollectionIdx && ti === state.activeTabIdx ? 'selected' : ''}"
+          <div class="tab-row ${ci === state.activeCollectionIdx && ti === state.activeTabIdx ? 'selected' : ''} ${tab.exit ? 'exited' : ''} ${isBroadcasting(tab, col) ? 'broadcast' : ''}"
                data-ci="${ci}" data-ti="${ti}" draggable="true">
             <span class="row-drag" title="Drag to reorder">${'\u2847'}</span>
-            <span class="row-dot" data-tabid="${tab.id}">${'\u2022'}</span>
+            <span class="row-dot ${stateDotClass(tab.state)}" data-tabid="${tab.id}" title="${escAttr(tab.exit ? describeExit(tab.exit) : STATE_LABELS[tab.state || 'idle'])}">${'\u2022'}</span>
             <span class="row-idx">${ti + 1}</span>
+            ${isShellTab(tab) ? '<span class="row-shell" title="Shell session">$</span>' : ''}
             <span class="row-label">${escHtml(tab.name)}</span>
+            ${tab.worktree ? `<span class="row-branch" title="Worktree: ${escAttr(tab.worktree.path)}">${'\u2387'} ${escHtml(tab.worktree.branch)}</span>` : ''}
+            <span class="git-badge" data-gitpath="${escAttr(tab.cwd)}" data-nobranch="${tab.worktree ? 1 : ''}"></span>
+            ${tab.tool && tab.tool !== getTabTool(col, null) ? `<span class="row-tool" title="CLI tool for this session">${escHtml(tab.tool)}</span>` : ''}
+            ${tab.queue && tab.queue.length ? `<span class="row-queue ${tab.queuePaused ? 'paused' : ''}" title="${tab.queue.length} queued prompt${tab.queue.length === 1 ? '' : 's'}${tab.queuePaused ? ' (paused)' : ''}">${tab.queuePaused ? '\u23F8' : '\u23F5'}${tab.queue.length}</span>` : ''}
+            <span class="row-usage" data-tabid="${tab.id}" title="${escAttr(usageTitle(tab.usage))}">${formatUsage(tab.usage)}</span>
             <input class="row-rename" type="text" value="${escAttr(tab.name)}">
+            ${tab.exit ? `<button class="row-restart" data-ci="${ci}" data-ti="${ti}" title="Restart (${escAttr(describeExit(tab.exit))})">${'\u21BB'}</button>` : ''}
             <button class="row-close" data-ci="${ci}" data-ti="${ti}">${'\u2715'}</button>
           </div>
         `).join('')}
@@ -193,6 +354,8 @@ function renderCollections() {
     }
   });
 
+  applyGitBadges();
+
   // Bind events
   bindCollectionEvents();
 }
@@ -256,6 +419,7 @@ function bindCollectionEvents() {
 
     el.addEventListener('click', (e) => {
       if (e.target.classList.contains('row-close')) return;
+      if (e.target.classList.contains('row-restart')) return;
       if (e.target.classList.contains('row-rename')) return;
       if (e.target.classList.contains('row-drag')) return;
       if (tabClickTimer) { clearTimeout(tabClickTimer); tabClickTimer = null; return; }
@@ -351,6 +515,35 @@ function bindCollectionEvents() {
     });
   });
 
+  // Restart exited tab
+  document.querySelectorAll('.row-restart').forEach((el) => {
+    el.addEventListener('click', () => {
+      const ci = parseInt(el.dataset.ci);
+      const ti = parseInt(el.dataset.ti);
+      const tab = state.collections[ci].tabs[ti];
+      if (tab) restartTab(tab);
+    });
+  });
+
+  // Tab row context menu
+  document.querySelectorAll('.tab-row').forEach((el) => {
+    el.addEventListener('contextmenu', (e) => {
+      e.preventDefault();
+      const ci = parseInt(el.dataset.ci);
+      const ti = parseInt(el.dataset.ti);
+      showContextMenu(e.clientX, e.clientY, getTabMenuItems(ci, ti));
+    });
+  });
+
+  // Collection header context menu
+  document.querySelectorAll('.collection-header').forEach((el) => {
+    el.addEventListener('contextmenu', (e) => {
+      e.preventDefault();
+      const ci = parseInt(el.dataset.ci);
+      showContextMenu(e.clientX, e.clientY, getCollectionMenuItems(ci));
+    });
+  });
+
   // Close tab
   document.querySelectorAll('.row-close').forEach((el) => {
     el.addEventListener('click', () => {
@@ -360,11 +553,46 @@ function bindCollectionEvents() {
     });
   });
 
-  // Add session button
+  // Add session button — Shift+click picks a tool for just this session
   document.querySelectorAll('.add-btn').forEach((el) => {
+    el.addEventListener('click', async (e) => {
+      const ci = parseInt(el.dataset.ci);
+      if (!e.shiftKey) {
+        addSession(ci);
+        return;
+      }
+      const tool = await showToolSelector({
+        title: 'SESSION TOOL',
+        desc: 'Choose the AI coding assistant for this session only.',
+        cancellable: true,
+      });
+      if (tool) addSession(ci, null, tool);
+    });
+  });
+
+  // New shell button
+  document.querySelectorAll('.shell-btn').forEach((el) => {
     el.addEventListener('click', () => {
       const ci = parseInt(el.dataset.ci);
-      addSession(ci);
+      addShellSession(ci);
+    });
+  });
+
+  // Collection tool button — change the tool used for new sessions in this collection
+  document.querySelectorAll('.tool-btn').forEach((el) => {
+    el.addEventListener('click', async () => {
+      const ci = parseInt(el.dataset.ci);
+      const col = state.collections[ci];
+      if (!col) return;
+      const tool = await showToolSelector({
+        title: 'COLLECTION TOOL',
+        desc: `Choose the AI coding assistant for new sessions in "${col.name}". Running sessions keep their tool.`,
+        cancellable: true,
+      });
+      if (!tool) return;
+      col.tool = tool;
+      renderCollections();
+      saveState();
     });
   });
 
@@ -384,15 +612,159 @@ function bindCollectionEvents() {
     });
   });
 
-  // Plan button — launch GSD session directly (no modal)
-  document.querySelectorAll('.gsd-btn').forEach((el) => {
-    el.addEventListener('click', () => {
+  // Template button — pick a session template
+  document.querySelectorAll('.template-btn').forEach((el) => {
+    el.addEventListener('click', (e) => {
+      e.stopPropagation();
       const ci = parseInt(el.dataset.ci);
-      launchGsdSession(ci);
+      const rect = el.getBoundingClientRect();
+      showContextMenu(rect.left, rect.bottom, getTemplateMenuItems(ci));
     });
   });
 }
 
+// ── Context menus ──
+// items: [{ label, action, checked?, disabled? } | { separator: true }]
+const contextMenu = document.getElementById('context-menu');
+
+function showContextMenu(x, y, items) {
+  contextMenu.innerHTML = '';
+  for (const item of items) {
+    const el = document.createElement('div');
+    if (item.separator) {
+      el.className = 'context-menu-separator';
+    } else {
+      el.className = `context-menu-item${item.disabled ? ' disabled' : ''}`;
+      el.innerHTML = `<span class="context-menu-check">${item.checked ? '\u2713' : ''}</span><span>${escHtml(item.label)}</span>`;
+      if (!item.disabled) {
+        el.addEventListener('click', () => {
+          hideContextMenu();
+          item.action();
+        });
+      }
+    }
+    contextMenu.appendChild(el);
+  }
+  contextMenu.classList.remove('hidden');
+  // Keep the menu on screen
+  const rect = contextMenu.getBoundingClientRect();
+  contextMenu.style.left = `${Math.min(x, window.innerWidth - rect.width - 4)}px`;
+  contextMenu.style.top = `${Math.min(y, window.innerHeight - rect.height - 4)}px`;
+}
+
+function hideContextMenu() {
+  contextMenu.classList.add('hidden');
+}
+
+document.addEventListener('mousedown', (e) => {
+  if (!contextMenu.contains(e.target)) hideContextMenu();
+});
+window.addEventListener('blur', hideContextMenu);
+
+function getTabMenuItems(ci, ti) {
+  const tab = state.collections[ci].tabs[ti];
+  return [
+    { label: tab.exit ? `Restart (${describeExit(tab.exit)})` : 'Restart session', action: () => restartTab(tab) },
+    { label: 'View changes…', action: () => openDiffViewer(tab) },
+    { label: 'Prompt queue…', disabled: isShellTab(tab), action: () => openQueueEditor(tab) },
+    { label: 'Include in broadcast', checked: !!tab.broadcast, action: () => toggleTabBroadcast(tab) },
+    { separator: true },
+    { label: 'Close session', action: () => closeSession(ci, ti) },
+  ];
+}
+
+function getCollectionMenuItems(ci) {
+  const col = state.collections[ci];
+  return [
+    {
+      label: 'New session in worktree',
+      action: () => addWorktreeSession(ci),
+    },
+    ...sessionTemplates.map(t => ({
+      label: `New from template: ${t.name}`,
+      action: () => launchTemplate(ci, t),
+    })),
+    {
+      label: 'Conversation history…',
+      action: () => openHistory(ci),
+    },
+    {
+      label: 'Environment…',
+      action: () => openEnvEditor(col),
+    },
+    {
+      label: 'Theme…',
+      action: () => {
+        // Opens where the collection menu was
+        showContextMenu(parseFloat(contextMenu.style.left), parseFloat(contextMenu.style.top), getThemeMenuItems(ci));
+      },
+    },
+    { separator: true },
+    {
+      label: 'Broadcast input to all sessions',
+      checked: !!col.broadcast,
+      action: () => toggleCollectionBroadcast(ci),
+    },
+    {
+      label: 'Auto-restart crashed sessions',
+      checked: !!col.autoRestart,
+      action: () => {
+        col.autoRestart = !col.autoRestart;
+        saveState();
+      },
+    },
+    {
+      label: 'Mute notifications',
+      checked: !!col.muted,
+      action: () => {
+        col.muted = !col.muted;
+        renderCollections();
+        saveState();
+      },
+    },
+  ];
+}
+
+// ── Broadcast input ──
+// Input typed into a broadcasting tab is mirrored to the rest of its group: every tab
+// of a collection with col.broadcast on, or all hand-picked tabs (tab.broadcast).
+// Runtime only, so the app never starts out broadcasting.
+
+// Terminal replies to queries (focus, cursor position, device attributes) stay local
+const TERMINAL_REPLY_RE = /^\x1b\[(?:[IO]|\d+;\d+R|[?>][\d;]*c)$/;
+
+function isBroadcasting(tab, col) {
+  return !!(col.broadcast || tab.broadcast);
+}
+
+function broadcastTargets(tab) {
+  const found = findTabById(tab.id);
+  if (!found) return [];
+  if (found.col.broadcast) return found.col.tabs.filter(t => t !== tab);
+  if (!tab.broadcast) return [];
+  return state.collections.flatMap(c => c.tabs).filter(t => t !== tab && t.broadcast);
+}
+
+function applyBroadcastIndicators() {
+  renderCollections();
+  terminalGrid.querySelectorAll('.grid-cell').forEach((cell) => {
+    const found = findTabById(cell.dataset.tabid);
+    cell.classList.toggle('grid-cell-broadcast', !!found && isBroadcasting(found.tab, found.col));
+  });
+}
+
+function toggleCollectionBroadcast(ci) {
+  const col = state.collections[ci];
+  if (!col) return;
+  col.broadcast = !col.broadcast;
+  applyBroadcastIndicators();
+}
+
+function toggleTabBroadcast(tab) {
+  tab.broadcast = !tab.broadcast;
+  applyBroadcastIndicators();
+}
+
 // ── Tab selection ──
 function selectTab(ci, ti) {
   state.activeCollectionIdx = ci;
@@ -453,7 +825,9 @@ function highlightGridCell(tabId) {
 }
 
 // ── Session management ──
-function addSession(ci, cwd = null) {
+// worktree: { repo, branch, path } when the session runs in its own git worktree
+// prompt: typed into the tool once it starts
+function addSession(ci, cwd = null, tool = null, worktree = null, prompt = null) {
   const col = state.collections[ci];
   if (!col) return;
 
@@ -464,8 +838,72 @@ function addSession(ci, cwd = null) {
   const dir = cwd || col.path;
   const name = `Session ${col.tabs.length + 1}`;
 
-  col.tabs.push({ id: tabId, name, cwd: dir });
-  createTerminalInstance(tabId, dir, null, name, col.name);
+  const tab = { id: tabId, name, cwd: dir, tool: tool || null };
+  if (worktree) tab.worktree = worktree;
+  col.tabs.push(tab);
+  createTerminalInstance(tab, col, prompt);
+
+  col.expanded = true;
+  selectTab(ci, col.tabs.length - 1);
+  renderCollections();
+
+  if (wasGridded) showGridView(ci);
+  saveState();
+}
+
+// New session on a fresh branch in its own worktree, so parallel agents don't collide
+async function addWorktreeSession(ci) {
+  const col = state.collections[ci];
+  if (!col) return;
+  const result = await manifold.createWorktree(col.path, `${col.name} ${col.tabs.length + 1}`);
+  if (!result.success) {
+    alert(`Could not create a worktree: ${result.error}`);
+    return;
+  }
+  const current = state.collections.indexOf(col);
+  if (current >= 0) addSession(current, result.worktree.path, null, result.worktree);
+}
+
+// Resume a past Claude conversation into a new tab
+function resumeConversation(ci, convo) {
+  const col = state.collections[ci];
+  if (!col) return;
+
+  const wasGridded = col.gridded;
+  if (wasGridded) hideGridView();
+
+  const tabId = genTabId();
+  const prompt = convo.firstPrompt.replace(/\s+/g, ' ').trim();
+  const name = prompt ? (prompt.length > 40 ? prompt.slice(0, 40) + '…' : prompt) : `Session ${col.tabs.length + 1}`;
+
+  const tab = { id: tabId, name, cwd: col.path, tool: 'claude', conversationId: convo.id };
+  col.tabs.push(tab);
+  createTerminalInstance(tab, col);
+
+  col.expanded = true;
+  selectTab(ci, col.tabs.length - 1);
+  renderCollections();
+
+  if (wasGridded) showGridView(ci);
+  saveState();
+}
+
+// Plain shell next to the agents — no tool command, naming or conversation tracking
+function addShellSession(ci, cwd = null) {
+  const col = state.collections[ci];
+  if (!col) return;
+
+  const wasGridded = col.gridded;
+  if (wasGridded) hideGridView();
+
+  const tabId = genTabId();
+  const dir = cwd || col.path;
+  const shellCount = col.tabs.filter(isShellTab).length;
+  const name = `Shell ${shellCount + 1}`;
+
+  const tab = { id: tabId, name, cwd: dir, tool: null, kind: 'shell' };
+  col.tabs.push(tab);
+  createTerminalInstance(tab, col);
 
   col.expanded = true;
   selectTab(ci, col.tabs.length - 1);
@@ -475,7 +913,7 @@ function addSession(ci, cwd = null) {
   saveState();
 }
 
-function closeSession(ci, ti) {
+async function closeSession(ci, ti) {
   const totalTabs = state.collections.reduce((sum, c) => sum + c.tabs.length, 0);
   if (totalTabs <= 1) return;
 
@@ -483,9 +921,21 @@ function closeSession(ci, ti) {
   const tab = col.tabs[ti];
   if (!tab) return;
 
+  // Worktree sessions ask what to do with their branch before closing
+  let worktreeAction = null;
+  if (tab.worktree) {
+    worktreeAction = await manifold.promptWorktreeClose(tab.worktree, tab.name);
+    if (!worktreeAction) return;
+    // Tabs may have moved while the dialog was open
+    ci = state.collections.indexOf(col);
+    ti = col.tabs.indexOf(tab);
+    if (ci < 0 || ti < 0) return;
+  }
+
   const wasGridded = col.gridded;
   if (wasGridded) hideGridView();
 
+  if (tab.restartTimer) clearTimeout(tab.restartTimer);
   destroyTerminalInstance(tab.id);
 
   col.tabs.splice(ti, 1);
@@ -513,49 +963,69 @@ function closeSession(ci, ti) {
   if (wasGridded && col.tabs.length > 0) showGridView(ci);
   renderCollections();
   saveState();
+
+  if (worktreeAction && worktreeAction !== 'keep') {
+    const result = await manifold.finishWorktree(tab.worktree, worktreeAction);
+    if (!result.success) alert(`Worktree ${tab.worktree.path} was kept: ${result.error}`);
+  }
 }
 
 // ── Collection management ──
 async function addCollection(askPath = false) {
-  let folderPath = null;
-  let name = null;
-
   if (askPath) {
-    folderPath = await manifold.pickFolder();
-    if (!folderPath) return;
-    const parts = folderPath.split(/[/\\]/);
-    name = parts[parts.length - 1] || folderPath;
+    const folderPath = await manifold.pickFolder();
+    if (folderPath) addCollectionAt(folderPath);
+    return;
   }
 
-  if (!name) name = `Collection ${state.collections.length + 1}`;
-  if (!folderPath) folderPath = homeDir || '/';
+  const name = `Collection ${state.collections.length + 1}`;
+  state.collections.push({ name, path: homeDir || '/', tool: currentTool, expanded: true, gridded: false, tabs: [] });
+  renderCollections();
+  saveState();
+}
+
+// New collection for a folder, named after it, with a first session (optionally given a prompt)
+function addCollectionAt(folderPath, prompt = null) {
+  const parts = folderPath.split(/[/\\]/).filter(Boolean);
+  const name = parts[parts.length - 1] || folderPath;
 
-  const col = { name, path: folderPath, expanded: true, gridded: false, tabs: [] };
+  const col = { name, path: folderPath, tool: currentTool, expanded: true, gridded: false, tabs: [] };
   state.collections.push(col);
   const ci = state.collections.length - 1;
 
-  if (askPath) {
-    const tabId = genTabId();
-    col.tabs.push({ id: tabId, name: 'Session 1', cwd: folderPath });
-    createTerminalInstance(tabId, folderPath, null, 'Session 1', col.name);
-    selectTab(ci, 0);
-  }
+  const tab = { id: genTabId(), name: 'Session 1', cwd: folderPath, tool: null };
+  col.tabs.push(tab);
+  createTerminalInstance(tab, col, prompt);
+  selectTab(ci, 0);
 
   renderCollections();
   saveState();
 }
 
-function deleteCollection(ci) {
+async function deleteCollection(ci) {
   if (state.collections.length <= 1) return;
 
   const col = state.collections[ci];
 
+  // Worktree sessions ask what to do with their branches, as closing them one by one does
+  const worktreeActions = [];
+  for (const tab of col.tabs.filter(t => t.worktree)) {
+    const action = await manifold.promptWorktreeClose(tab.worktree, tab.name);
+    if (!action) return;
+    worktreeActions.push({ worktree: tab.worktree, action });
+  }
+  // Collections may have moved while the dialogs were open
+  ci = state.collections.indexOf(col);
+  if (ci < 0 || state.collections.length <= 1) return;
+
   if (col.gridded) {
     hideGridView();
     state.gridCollection = null;
   }
+  if (col.uid) manifold.clearEnvSecrets(col.uid);
 
   col.tabs.forEach((tab) => {
+    if (tab.restartTimer) clearTimeout(tab.restartTimer);
     destroyTerminalInstance(tab.id);
   });
 
@@ -583,6 +1053,12 @@ function deleteCollection(ci) {
 
   renderCollections();
   saveState();
+
+  for (const { worktree, action } of worktreeActions) {
+    if (action === 'keep') continue;
+    const result = await manifold.finishWorktree(worktree, action);
+    if (!result.success) alert(`Worktree ${worktree.path} was kept: ${result.error}`);
+  }
 }
 
 // ── Grid view ──
@@ -628,6 +1104,7 @@ function showGridView(ci) {
   terminalSingle.classList.add('hidden');
   terminalGrid.classList.remove('hidden');
   terminalGrid.innerHTML = '';
+  setThemeVars(terminalGrid, collectionOverrideTheme(col));
 
   const count = col.tabs.length;
   const cols = count <= 2 ? count : count <= 4 ? 2 : 3;
@@ -636,10 +1113,24 @@ function showGridView(ci) {
   col.tabs.forEach((tab, ti) => {
     const cell = document.createElement('div');
     cell.className = 'grid-cell';
+    cell.dataset.tabid = tab.id;
+    cell.classList.toggle('grid-cell-broadcast', isBroadcasting(tab, col));
 
     const header = document.createElement('div');
     header.className = 'grid-cell-header';
-    header.textContent = tab.name;
+
+    const stateDot = document.createElement('span');
+    stateDot.className = 'grid-cell-state';
+    stateDot.textContent = '\u2022';
+    setStateClass(stateDot, tab.state);
+    header.appendChild(stateDot);
+    header.appendChild(document.createTextNode(isShellTab(tab) ? `$ ${tab.name}` : tab.name));
+
+    const usageEl = document.createElement('span');
+    usageEl.className = 'grid-cell-usage';
+    usageEl.textContent = formatUsage(tab.usage);
+    usageEl.title = usageTitle(tab.usage);
+    header.appendChild(usageEl);
 
     const closeBtn = document.createElement('button');
     closeBtn.className = 'grid-cell-close';
@@ -651,12 +1142,37 @@ function showGridView(ci) {
     });
     header.appendChild(closeBtn);
 
+    const status = document.createElement('span');
+    status.className = 'grid-cell-status';
+    header.appendChild(status);
+
+    const restartBtn = document.createElement('button');
+    restartBtn.className = 'grid-cell-restart';
+    restartBtn.textContent = '\u21BB';
+    restartBtn.title = 'Restart session';
+    restartBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      restartTab(tab);
+    });
+    header.appendChild(restartBtn);
+
+    const diffBtn = document.createElement('button');
+    diffBtn.className = 'grid-cell-diff';
+    diffBtn.textContent = '\u00B1';
+    diffBtn.title = 'View changes';
+    diffBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      openDiffViewer(tab);
+    });
+    header.appendChild(diffBtn);
+
     header.addEventListener('click', (e) => {
-      if (e.target === closeBtn) return;
+      if (e.target === closeBtn || e.target === restartBtn || e.target === diffBtn) return;
       selectTab(ci, ti);
     });
 
     cell.appendChild(header);
+    refreshGridCell(tab, cell);
 
     const inst = terminalInstances.get(tab.id);
     if (inst) {
@@ -672,6 +1188,15 @@ function showGridView(ci) {
   });
 }
 
+// Sync a grid cell's exited styling with tab.exit
+function refreshGridCell(tab, cell = null) {
+  const el = cell || terminalGrid.querySelector(`.grid-cell[data-tabid="${tab.id}"]`);
+  if (!el) return;
+  el.classList.toggle('grid-cell-exited', !!tab.exit);
+  const status = el.querySelector('.grid-cell-status');
+  if (status) status.textContent = describeExit(tab.exit);
+}
+
 function hideGridView() {
   // Detach all terminal elements from grid cells before clearing
   for (const [, inst] of terminalInstances) {
@@ -685,8 +1210,13 @@ function hideGridView() {
 }
 
 // ── State persistence ──
-// Before saving, fetch conversation IDs from main process for each tab
-async function saveState() {
+// Before saving, fetch conversation IDs from main process for each tab.
+// opts.scrollback also serializes every terminal's scrollback (auto-save and shutdown).
+
+// Until the restore finishes, saved tabs without a terminal yet would look closed
+let workspaceRestored = false;
+
+async function saveState(opts = {}) {
   // Update conversation IDs from main process (parallel for speed)
   const allTabs = state.collections.flatMap(col => col.tabs);
   const convoResults = await Promise.all(
@@ -699,131 +1229,318 @@ async function saveState() {
   const data = {
     selectedTool: currentTool,
     collections: state.collections.map((col) => ({
+      uid: col.uid,
       name: col.name,
       path: col.path,
+      tool: col.tool || null,
+      env: col.env || [],
+      envFiles: !!col.envFiles,
+      theme: col.theme || null,
+      autoRestart: !!col.autoRestart,
+      muted: !!col.muted,
       expanded: col.expanded,
       gridded: col.gridded || false,
       tabs: col.tabs.map((t) => ({
+        uid: t.uid,
         name: t.name,
         cwd: t.cwd,
+        tool: t.tool || null,
+        kind: t.kind || 'agent',
         conversationId: t.conversationId || null,
+        worktree: t.worktree || null,
+        queue: t.queue || [],
+        queuePaused: !!t.queuePaused,
+        env: t.env || null,
+        autoApprove: t.autoApprove !== false,
       })),
     })),
     activeCollection: state.activeCollectionIdx,
     activeTab: state.activeTabIdx,
     uiScale: parseInt(scaleSlider.value) || 100,
+    notifications: { ...notifySettings },
+    paletteRecent,
+    theme: appTheme,
+    templates: sessionTemplates,
+    controlApi: controlApiEnabled,
   };
   await manifold.saveState(data);
+  if (opts.scrollback) await saveScrollback(allTabs);
+}
+
+async function saveScrollback(tabs) {
+  const entries = [];
+  for (const tab of tabs) {
+    const inst = terminalInstances.get(tab.id);
+    if (!inst || !inst.serializeAddon || !tab.uid) continue;
+    try {
+      const data = inst.serializeAddon.serialize({
+        scrollback: SCROLLBACK_SAVE_LINES,
+        excludeAltBuffer: true,
+        excludeModes: true,
+      });
+      entries.push({ uid: tab.uid, data });
+    } catch (err) {
+      console.error('Failed to serialize scrollback:', err);
+    }
+  }
+  // Prune files of closed tabs only once every saved tab has been restored
+  const keep = workspaceRestored ? tabs.map(t => t.uid).filter(Boolean) : null;
+  await manifold.saveScrollback(entries, keep);
 }
 
 // ── Keybindings ──
-// Use capture phase so shortcuts fire before xterm swallows keys like Ctrl+3 (ESC)
-document.addEventListener('keydown', (e) => {
-  const ctrl = e.ctrlKey || e.metaKey;
-  let handled = false;
+// Every rebindable action with its default keys. Bindings are 'Ctrl+Shift+T' style (Ctrl
+// also matches Cmd); '1-9' stands for any digit key and passes the digit to run().
+// User overrides come from keybindings.json (see main.js). A binding with passThrough
+// leaves its keys to the terminal while a terminal has focus.
+
+const KEY_ACTIONS = [
+  // With no collection active, new sessions go to the first one
+  { id: 'new-session', label: 'New session', keys: ['Ctrl+T'], run: withCollectionOrFirst(ci => addSession(ci)) },
+  { id: 'new-shell', label: 'New shell', keys: ['Ctrl+Shift+T'], run: withCollectionOrFirst(ci => addShellSession(ci)) },
+  { id: 'close-session', label: 'Close session', keys: ['Ctrl+W'], run: () => {
+    if (activeCi() >= 0 && state.activeTabIdx >= 0) closeSession(state.activeCollectionIdx, state.activeTabIdx);
+  } },
+  { id: 'new-collection', label: 'New collection', keys: ['Ctrl+Y', 'Ctrl+P'], run: () => addCollection(true) },
+  { id: 'toggle-grid', label: 'Toggle grid view', keys: ['Ctrl+G'], run: withActiveCollection(toggleGrid) },
+  { id: 'switch-tab', label: 'Jump to session N', keys: ['Alt+1-9', 'Ctrl+1-9'], run: (digit) => {
+    const ci = activeCi();
+    if (ci >= 0 && digit - 1 < state.collections[ci].tabs.length) selectTab(ci, digit - 1);
+  } },
+  { id: 'toggle-broadcast', label: 'Toggle broadcast input', keys: ['Ctrl+Shift+B'], run: withActiveCollection(toggleCollectionBroadcast) },
+  { id: 'prompt-library', label: 'Prompt library', keys: ['Ctrl+Shift+L'], run: () => {
+    if (promptsOverlay.classList.contains('hidden')) openPromptPicker();
+    else closePromptPicker();
+  } },
+  { id: 'command-palette', label: 'Command palette', keys: ['Ctrl+K', 'Ctrl+Shift+P'], run: () => {
+    if (paletteOverlay.classList.contains('hidden')) openPalette();
+    else closePalette();
+  } },
+  { id: 'find', label: 'Find in session', keys: ['Ctrl+F'], run: () => openSearch(false) },
+  { id: 'find-all', label: 'Search all sessions', keys: ['Ctrl+Shift+F'], run: () => openSearch(true) },
+  { id: 'journal', label: 'Journal', keys: ['Ctrl+J'], run: () => {
+    if (journalOverlay.classList.contains('hidden')) openJournalViewer();
+    else closeJournalViewer();
+  } },
+];
+const TOGGLE_ACTION = 'toggle-window'; // registered system-wide by main
+
+let keybindings = {}; // action id → { keys, passThrough }
+let toggleDefaultKeys = [];
+let keybindingFileError = null;
+let toggleErrors = [];
+
+function normalizeBinding(value, defaults) {
+  if (value === undefined) return { keys: defaults.slice(), passThrough: false };
+  const obj = value && typeof value === 'object' && !Array.isArray(value) ? value : { keys: value };
+  const keys = obj.keys === null || obj.keys === undefined ? [] : (Array.isArray(obj.keys) ? obj.keys : [obj.keys]);
+  return { keys: keys.filter(k => typeof k === 'string' && k.trim()).map(k => k.trim()), passThrough: !!obj.passThrough };
+}
 
-  if (ctrl && e.key === 't') {
-    const ci = state.activeCollectionIdx >= 0 ? state.activeCollectionIdx : 0;
-    if (state.collections[ci]) addSession(ci);
-    handled = true;
-  }
+function defaultKeys(id) {
+  if (id === TOGGLE_ACTION) return toggleDefaultKeys;
+  const action = KEY_ACTIONS.find(a => a.id === id);
+  return action ? action.keys : [];
+}
 
-  if (ctrl && e.key === 'w') {
-    if (state.activeCollectionIdx >= 0 && state.activeTabIdx >= 0) {
-      closeSession(state.activeCollectionIdx, state.activeTabIdx);
-    }
-    handled = true;
+function applyKeybindings(fileBindings) {
+  keybindings = {};
+  for (const id of [TOGGLE_ACTION, ...KEY_ACTIONS.map(a => a.id)]) {
+    keybindings[id] = normalizeBinding(fileBindings[id], defaultKeys(id));
   }
+}
 
-  if (ctrl && e.key === 'p') {
-    addCollection(true);
-    handled = true;
-  }
+async function loadKeybindings() {
+  const result = await manifold.loadKeybindings();
+  toggleDefaultKeys = result.toggleDefault;
+  keybindingFileError = result.error;
+  toggleErrors = result.toggleErrors;
+  applyKeybindings(result.bindings);
+  renderKeybindingSettings();
+}
 
-  if (ctrl && e.key === 'y') {
-    addCollection(true);
-    handled = true;
+// Only what differs from the defaults is written, so new defaults still reach everyone else
+async function saveKeybindings() {
+  const overrides = {};
+  for (const [id, binding] of Object.entries(keybindings)) {
+    const same = binding.keys.join('\n') === defaultKeys(id).join('\n');
+    if (same && !binding.passThrough) continue;
+    overrides[id] = binding.passThrough ? { keys: binding.keys, passThrough: true } : (binding.keys.length ? binding.keys : null);
   }
+  const result = await manifold.saveKeybindings(overrides);
+  if (result.success) toggleErrors = result.toggleErrors;
+  else keybindingFileError = result.error;
+}
 
-  if (ctrl && e.key === 'g') {
-    if (state.activeCollectionIdx >= 0) {
-      toggleGrid(state.activeCollectionIdx);
-    }
-    handled = true;
-  }
+function isMacPlatform() {
+  return document.body.classList.contains('platform-darwin');
+}
 
-  // Ctrl/Cmd+1-9: switch tabs within active collection
-  if (ctrl && e.key >= '1' && e.key <= '9') {
-    const ci = state.activeCollectionIdx;
-    if (ci >= 0 && state.collections[ci]) {
-      const ti = parseInt(e.key) - 1;
-      if (ti < state.collections[ci].tabs.length) {
-        selectTab(ci, ti);
-      }
-    }
-    handled = true;
+// How keys read on this platform (in-app Ctrl bindings are Cmd on macOS)
+function displayKeys(keys) {
+  return isMacPlatform() ? keys.replace(/\bCtrl\b/g, 'Cmd').replace(/\bCommand\b/g, 'Cmd') : keys;
+}
+
+// First key of an action's binding, for hints; '' when unbound
+function bindingLabel(id) {
+  const binding = keybindings[id];
+  return binding && binding.keys.length ? displayKeys(binding.keys[0]) : '';
+}
+
+function updateHeaderHints() {
+  const hints = [
+    [TOGGLE_ACTION, 'toggle'], ['new-session', 'session'], ['new-shell', 'shell'], ['new-collection', 'collection'],
+    ['close-session', 'close'], ['toggle-grid', 'grid'], ['command-palette', 'palette'], ['toggle-broadcast', 'broadcast'],
+    ['find', 'find'], ['prompt-library', 'prompts'], ['journal', 'journal'],
+  ].map(([id, label]) => [bindingLabel(id), label]);
+  const template = sessionTemplates.find(t => t.shortcut);
+  if (template) hints.push([displayKeys(template.shortcut), 'template']);
+  hints.push([bindingLabel('switch-tab'), 'switch']);
+  document.getElementById('header-hints').textContent = hints.filter(([keys]) => keys).map(h => h.join(' ')).join(' | ');
+}
+
+// Matches 'Ctrl+Shift+G'-style keys; returns { digit } for '1-9' bindings, {} otherwise, or null
+function matchesShortcut(e, keys) {
+  if (!keys) return null;
+  const parts = keys.split('+');
+  const key = parts.pop();
+  const mods = new Set(parts.map(p => p.toLowerCase()));
+  const ctrl = mods.has('ctrl') || mods.has('cmd');
+  if ((e.ctrlKey || e.metaKey) !== ctrl || e.shiftKey !== mods.has('shift') || e.altKey !== mods.has('alt')) return null;
+  // Digits by physical key, as the recorder stores them, since Shift and Option change e.key
+  const digit = /^(?:Digit|Numpad)(\d)$/.exec(e.code);
+  if (key === '1-9') return digit && digit[1] !== '0' ? { digit: parseInt(digit[1]) } : null;
+  if (/^\d$/.test(key)) return digit && digit[1] === key ? {} : null;
+  return e.key.toLowerCase() === key.toLowerCase() ? {} : null;
+}
+
+// The combination being pressed, or null for a bare modifier. exact keeps Super/Command
+// apart from Ctrl, as system-wide shortcuts need.
+function shortcutFromEvent(e, exact = false) {
+  if (['Control', 'Shift', 'Alt', 'Meta'].includes(e.key)) return null;
+  const parts = [];
+  if (exact) {
+    if (e.ctrlKey) parts.push('Ctrl');
+    if (e.metaKey) parts.push(isMacPlatform() ? 'Command' : 'Super');
+  } else if (e.ctrlKey || e.metaKey) {
+    parts.push('Ctrl');
   }
+  if (e.altKey) parts.push('Alt');
+  if (e.shiftKey) parts.push('Shift');
+  const digit = /^Digit(\d)$/.exec(e.code);
+  parts.push(digit ? digit[1] : (e.key.length === 1 ? e.key.toUpperCase() : e.key));
+  return parts.join('+');
+}
 
-  // Ctrl/Cmd+Shift+G: launch GSD plan session for active collection
-  if (ctrl && e.shiftKey && e.key === 'G') {
-    if (state.activeCollectionIdx >= 0) {
-      launchGsdSession(state.activeCollectionIdx);
+// Use capture phase so shortcuts fire before xterm swallows keys like Ctrl+3 (ESC)
+document.addEventListener('keydown', (e) => {
+  // Shortcut recorders (a template's shortcut field, the keybinding + buttons) take the
+  // keys themselves, so recording an existing combo doesn't also run it
+  if (e.target.classList && e.target.classList.contains('shortcut-recorder')) return;
+
+  const inTerminal = !!(e.target.closest && e.target.closest('.xterm'));
+  let handled = false;
+
+  for (const action of KEY_ACTIONS) {
+    const binding = keybindings[action.id];
+    if (!binding || (binding.passThrough && inTerminal)) continue;
+    const match = binding.keys.map(keys => matchesShortcut(e, keys)).find(Boolean);
+    if (match) {
+      action.run(match.digit);
+      handled = true;
+      break;
     }
-    handled = true;
   }
 
-  // Ctrl/Cmd+J: toggle journal viewer
-  if (ctrl && e.key === 'j') {
-    if (journalOverlay.classList.contains('hidden')) {
-      openJournalViewer();
-    } else {
-      closeJournalViewer();
+  // Session template shortcuts (the default Plan template is Ctrl/Cmd+Shift+G)
+  const template = handled ? null : sessionTemplates.find(t => matchesShortcut(e, t.shortcut));
+  if (template) {
+    if (state.activeCollectionIdx >= 0) {
+      launchTemplate(state.activeCollectionIdx, template);
     }
     handled = true;
   }
 
   // Escape: close overlays
   if (e.key === 'Escape') {
-    if (!journalOverlay.classList.contains('hidden')) {
+    if (!contextMenu.classList.contains('hidden')) {
+      hideContextMenu();
+      handled = true;
+    } else if (!paletteOverlay.classList.contains('hidden')) {
+      closePalette();
+      handled = true;
+    } else if (!searchBar.classList.contains('hidden')) {
+      closeSearch();
+      handled = true;
+    } else if (toolSelectorCancel) {
+      toolSelectorCancel();
+      handled = true;
+    } else if (!journalOverlay.classList.contains('hidden')) {
       closeJournalViewer();
       handled = true;
-    } else if (!settingsOverlay.classList.contains('hidden')) {
-      settingsOverlay.classList.add('hidden');
+    } else if (!historyOverlay.classList.contains('hidden')) {
+      closeHistory();
+      handled = true;
+    } else if (!usageOverlay.classList.contains('hidden')) {
+      closeUsageView();
+      handled = true;
+    } else if (!diffOverlay.classList.contains('hidden')) {
+      closeDiffViewer();
+      handled = true;
+    } else if (!promptsOverlay.classList.contains('hidden')) {
+      closePromptPicker();
+      handled = true;
+    } else if (!queueOverlay.classList.contains('hidden')) {
+      closeQueueEditor();
+      handled = true;
+    } else if (!envOverlay.classList.contains('hidden')) {
+      closeEnvEditor();
+      handled = true;
+    } else if (!settingsOverlay.classList.contains('hidden')) {
+      settingsOverlay.classList.add('hidden');
       handled = true;
     }
   }
 
-  // Alt+1-9: switch tabs within active collection (same as Ctrl+1-9)
-  if (e.altKey && e.key >= '1' && e.key <= '9') {
-    const ci = state.activeCollectionIdx;
-    if (ci >= 0 && state.collections[ci]) {
-      const ti = parseInt(e.key) - 1;
-      if (ti < state.collections[ci].tabs.length) {
-        selectTab(ci, ti);
-      }
-    }
-    handled = true;
-  }
-
   if (handled) {
     e.preventDefault();
     e.stopPropagation();
   }
 }, true);
 
-// ── Plan (GSD integration) ──
+// ── Session templates ──
+// Presets for new sessions: name, initial prompt, tool, cwd relative to the collection,
+// extra environment variables, auto-approve and an optional shortcut. Saved in state.json.
+
+const DEFAULT_TEMPLATES = [
+  { name: 'Plan', prompt: '/gsd:new-project', tool: null, cwd: '', env: {}, autoApprove: true, shortcut: 'Ctrl+Shift+G' },
+];
+let sessionTemplates = DEFAULT_TEMPLATES.map(t => ({ ...t }));
 
-function launchGsdSession(ci) {
+function templateCwd(col, rel) {
+  const sub = (rel || '').replace(/^[\\/]+|[\\/]+$/g, '');
+  if (!sub || sub === '.') return col.path;
+  const sep = col.path.includes('\\') && !col.path.includes('/') ? '\\' : '/';
+  return col.path.replace(/[\\/]+$/, '') + sep + sub;
+}
+
+function launchTemplate(ci, template) {
   const col = state.collections[ci];
   if (!col) return;
 
   const wasGridded = col.gridded;
   if (wasGridded) hideGridView();
 
-  // Spawn a new Claude session that runs /gsd:new-project directly
-  const tabId = genTabId();
-  col.tabs.push({ id: tabId, name: 'Plan', cwd: col.path });
-  createTerminalInstance(tabId, col.path, null, 'Plan', col.name, '/gsd:new-project');
+  const tab = {
+    id: genTabId(),
+    name: template.name,
+    cwd: templateCwd(col, template.cwd),
+    tool: template.tool || null,
+    env: { ...template.env },
+    autoApprove: template.autoApprove !== false,
+  };
+  col.tabs.push(tab);
+  createTerminalInstance(tab, col, template.prompt || null);
 
   col.expanded = true;
   selectTab(ci, col.tabs.length - 1);
@@ -833,24 +1550,619 @@ function launchGsdSession(ci) {
   saveState();
 }
 
-// ── Activity polling ──
-setInterval(async () => {
-  const tabIds = [...terminalInstances.keys()];
-  const results = await Promise.all(
-    tabIds.map(id => manifold.isTerminalActive(id).catch(() => false))
-  );
-  tabIds.forEach((tabId, i) => {
-    const dot = document.querySelector(`.row-dot[data-tabid="${tabId}"]`);
-    if (dot) {
-      if (results[i]) dot.classList.add('active');
-      else dot.classList.remove('active');
-    }
+function getTemplateMenuItems(ci) {
+  const items = sessionTemplates.map(t => ({
+    label: t.shortcut ? `${t.name}  (${t.shortcut})` : t.name,
+    action: () => launchTemplate(ci, t),
+  }));
+  if (items.length) items.push({ separator: true });
+  items.push({ label: 'Manage templates…', action: openSettings });
+  return items;
+}
+
+// ── Scheduled sessions ──
+// Main keeps the schedule clock and asks for a session when one is due. The tab opens in
+// the background (focus stays where it is) and its pty is tagged with the scheduleId so
+// main can follow the run. scheduleId is runtime-only: a restored tab is an ordinary one.
+
+// Add a tab without taking focus from the one in use (used by schedules and the control API)
+function openBackgroundSession(col, tab, prompt) {
+  const ci = state.collections.indexOf(col);
+
+  // Only redraw the grid if it's the one on screen
+  const wasGridded = state.gridCollection === ci;
+  if (wasGridded) hideGridView();
+
+  col.tabs.push(tab);
+  createTerminalInstance(tab, col, prompt || null);
+  if (!getActiveTab()) selectTab(ci, col.tabs.length - 1);
+
+  renderCollections();
+  if (wasGridded) showGridView(ci);
+  saveState();
+}
+
+function runScheduledSession({ scheduleId, name, collectionPath, collectionName, prompt, tool }) {
+  let col = state.collections.find(c => c.path === collectionPath);
+  if (!col) {
+    col = { name: collectionName, path: collectionPath, tool: currentTool, expanded: true, gridded: false, tabs: [] };
+    state.collections.push(col);
+  }
+  openBackgroundSession(col, { id: genTabId(), name, cwd: col.path, tool: tool || null, scheduleId }, prompt);
+}
+
+manifold.onScheduleRun(runScheduledSession);
+
+manifold.onScheduleCloseTab((id) => {
+  const found = findTabById(id);
+  if (found) closeSession(found.ci, found.ti);
+});
+
+// ── Control API ──
+// Main forwards the local control API's requests that need tabs and collections here;
+// each action's result (or error and HTTP status) goes back as a control-response.
+
+function controlError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// A collection by name, path or index; the active one when not given
+function findControlCollection(ref) {
+  if (ref === undefined || ref === null || ref === '') return getActiveCollection() || state.collections[0] || null;
+  if (typeof ref === 'number') return state.collections[ref] || null;
+  return state.collections.find(c => c.name === ref || c.path === ref) || null;
+}
+
+function findControlTab(id) {
+  const found = findTabById(id);
+  if (!found) throw controlError(404, `No session ${id}`);
+  return found;
+}
+
+const controlActions = {
+  list() {
+    const active = getActiveTab();
+    return state.collections.map((col, index) => ({
+      index,
+      name: col.name,
+      path: col.path,
+      tool: col.tool || currentTool,
+      tabs: col.tabs.map(tab => ({
+        id: tab.id,
+        name: tab.name,
+        cwd: tab.cwd,
+        tool: getTabTool(col, tab),
+        kind: tab.kind || 'agent',
+        state: tab.state || 'idle',
+        exit: tab.exit || null,
+        conversationId: tab.conversationId || null,
+        active: tab === active,
+      })),
+    }));
+  },
+
+  create({ collection, cwd, tool, kind, name, prompt }) {
+    const col = findControlCollection(collection);
+    if (!col) throw controlError(404, `No collection ${collection}`);
+    if (tool && !toolConfigs[tool]) throw controlError(400, `Unknown tool ${tool}`);
+    const isShell = kind === 'shell';
+    const count = col.tabs.filter(t => isShellTab(t) === isShell).length + 1;
+    const tab = {
+      id: genTabId(),
+      name: name || (isShell ? `Shell ${count}` : `Session ${count}`),
+      cwd: cwd || col.path,
+      tool: isShell ? null : (tool || null),
+    };
+    if (isShell) tab.kind = 'shell';
+    openBackgroundSession(col, tab, prompt);
+    return { id: tab.id, collection: col.name };
+  },
+
+  input({ id, text, submit }) {
+    const { tab } = findControlTab(id);
+    pasteToSession(tab, text);
+    if (submit) setTimeout(() => manifold.sendInput(tab.id, '\r'), QUEUE_SUBMIT_DELAY);
+    return {};
+  },
+
+  async close({ id }) {
+    const { ci, ti } = findControlTab(id);
+    await closeSession(ci, ti);
+    return { closed: !findTabById(id) };
+  },
+};
+
+manifold.onControlRequest(async ({ reqId, action, params }) => {
+  try {
+    if (!controlActions[action]) throw controlError(400, `Unknown action ${action}`);
+    const result = await controlActions[action](params || {});
+    manifold.sendControlResponse({ reqId, result });
+  } catch (err) {
+    manifold.sendControlResponse({ reqId, error: err.message, status: err.status });
+  }
+});
+
+// ── Agent state ──
+// Main classifies each session and pushes transitions; tab.state is runtime-only.
+
+const STATE_LABELS = {
+  'working': 'Working',
+  'waiting-permission': 'Needs permission',
+  'waiting-input': 'Waiting for input',
+  'idle': 'Idle',
+  'errored': 'Errored',
+  'exited': 'Exited',
+};
+
+// Most urgent first — a collection shows the most urgent state among its tabs
+const STATE_PRIORITY = ['waiting-permission', 'errored', 'waiting-input', 'working', 'exited', 'idle'];
+
+function getCollectionState(col) {
+  let best = 'idle';
+  for (const tab of col.tabs) {
+    const st = tab.state || 'idle';
+    if (STATE_PRIORITY.indexOf(st) < STATE_PRIORITY.indexOf(best)) best = st;
+  }
+  return best;
+}
+
+function stateDotClass(st) {
+  return `state-${st || 'idle'}`;
+}
+
+function setStateClass(el, st) {
+  for (const key of Object.keys(STATE_LABELS)) el.classList.remove(stateDotClass(key));
+  el.classList.add(stateDotClass(st));
+  el.title = STATE_LABELS[st] || '';
+}
+
+// Update state indicators in place (a full re-render would cancel in-progress renames)
+function applyTabState(tab) {
+  const found = findTabById(tab.id);
+  if (!found) return;
+  const dot = document.querySelector(`.row-dot[data-tabid="${tab.id}"]`);
+  if (dot) setStateClass(dot, tab.state);
+  const colDot = document.querySelector(`.collection-state[data-ci="${found.ci}"]`);
+  if (colDot) setStateClass(colDot, getCollectionState(found.col));
+  const gridDot = terminalGrid.querySelector(`.grid-cell[data-tabid="${tab.id}"] .grid-cell-state`);
+  if (gridDot) setStateClass(gridDot, tab.state);
+}
+
+manifold.onTerminalState((id, { state: st, prev }) => {
+  const found = findTabById(id);
+  if (!found) return;
+  found.tab.state = st;
+  applyTabState(found.tab);
+  notifyStateChange(found, prev, st);
+  // An agent that just stopped working has probably changed files
+  if (prev === 'working') refreshGitStatus([found.tab.cwd, found.col.path]);
+  if (st === 'waiting-input') sendQueuedPrompt(found.tab);
+});
+
+// ── Prompt queue ──
+// Follow-up prompts per tab (tab.queue, saved in state.json). The next one is sent
+// each time the agent comes back to its input prompt, unless the queue is paused.
+const QUEUE_SUBMIT_DELAY = 150; // let the tool take the paste before Enter
+const QUEUE_RESEND_GUARD = 3000;
+
+function sendQueuedPrompt(tab, force = false) {
+  if (!tab.queue || tab.queue.length === 0) return;
+  if (!force && (tab.queuePaused || tab.state !== 'waiting-input')) return;
+  // State can flicker back to waiting-input before the tool has reacted; look again once
+  // the guard is over, since a tool that really is waiting won't report it a second time
+  const wait = tab.queueSentAt ? tab.queueSentAt + QUEUE_RESEND_GUARD - Date.now() : 0;
+  if (wait > 0) {
+    clearTimeout(tab.queueRetry);
+    tab.queueRetry = setTimeout(() => {
+      if (terminalInstances.has(tab.id)) sendQueuedPrompt(tab, force);
+    }, wait);
+    return;
+  }
+  const text = tab.queue.shift();
+  tab.queueSentAt = Date.now();
+  pasteToSession(tab, text);
+  setTimeout(() => manifold.sendInput(tab.id, '\r'), QUEUE_SUBMIT_DELAY);
+  renderCollections();
+  if (queueView.tab === tab) renderQueue();
+  saveState();
+}
+
+const queueOverlay = document.getElementById('queue-overlay');
+const queueTitle = document.getElementById('queue-title');
+const queueList = document.getElementById('queue-list');
+const queueInput = document.getElementById('queue-input');
+const queuePauseBtn = document.getElementById('queue-pause-btn');
+const queueView = { tab: null };
+
+function openQueueEditor(tab) {
+  if (!tab.queue) tab.queue = [];
+  queueView.tab = tab;
+  queueTitle.textContent = `QUEUE \u2014 ${tab.name}`;
+  queueInput.value = '';
+  renderQueue();
+  queueOverlay.classList.remove('hidden');
+  queueInput.focus();
+}
+
+function closeQueueEditor() {
+  queueOverlay.classList.add('hidden');
+  queueView.tab = null;
+}
+
+function queueChanged() {
+  renderQueue();
+  renderCollections();
+  saveState();
+}
+
+function renderQueue() {
+  const tab = queueView.tab;
+  queuePauseBtn.textContent = tab.queuePaused ? 'Resume' : 'Pause';
+  queueList.innerHTML = '';
+  if (tab.queue.length === 0) {
+    queueList.innerHTML = '<p class="queue-empty">Nothing queued. Prompts added here are sent one at a time, each time the agent is waiting for input.</p>';
+    return;
+  }
+  tab.queue.forEach((text, i) => {
+    const item = document.createElement('div');
+    item.className = 'queue-item';
+    item.innerHTML = `
+      <span class="queue-idx">${i + 1}</span>
+      <div class="queue-text">${escHtml(text)}</div>
+      <button class="queue-up" title="Move up" ${i === 0 ? 'disabled' : ''}>\u25B2</button>
+      <button class="queue-down" title="Move down" ${i === tab.queue.length - 1 ? 'disabled' : ''}>\u25BC</button>
+      <button class="queue-remove" title="Remove">\u2715</button>
+    `;
+    const move = (to) => {
+      tab.queue.splice(to, 0, tab.queue.splice(i, 1)[0]);
+      queueChanged();
+    };
+    item.querySelector('.queue-up').addEventListener('click', () => move(i - 1));
+    item.querySelector('.queue-down').addEventListener('click', () => move(i + 1));
+    item.querySelector('.queue-remove').addEventListener('click', () => {
+      tab.queue.splice(i, 1);
+      queueChanged();
+    });
+    queueList.appendChild(item);
+  });
+}
+
+function addQueuedPrompt() {
+  const text = queueInput.value.trim();
+  if (!text) return;
+  queueView.tab.queue.push(text);
+  queueInput.value = '';
+  queueChanged();
+  // Already waiting? Start right away
+  sendQueuedPrompt(queueView.tab);
+}
+
+document.getElementById('queue-add-btn').addEventListener('click', addQueuedPrompt);
+queueInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+    e.preventDefault();
+    addQueuedPrompt();
+  }
+});
+queuePauseBtn.addEventListener('click', () => {
+  const tab = queueView.tab;
+  tab.queuePaused = !tab.queuePaused;
+  queueChanged();
+  sendQueuedPrompt(tab);
+});
+document.getElementById('queue-send-btn').addEventListener('click', () => sendQueuedPrompt(queueView.tab, true));
+document.getElementById('queue-close-btn').addEventListener('click', closeQueueEditor);
+queueOverlay.addEventListener('click', (e) => {
+  if (e.target === queueOverlay) closeQueueEditor();
+});
+
+// ── Collection environment ──
+// col.env is [{ key, value, secret }] in state.json; secret entries carry no value — main
+// keeps those in its secret store, keyed by col.uid, and the UI never reads them back.
+// col.envFiles loads .env/.envrc from the collection folder at every spawn.
+
+function collectionEnvSpec(col) {
+  if (!col) return null;
+  if (!col.uid) col.uid = genTabUid();
+  const vars = {};
+  for (const v of col.env || []) {
+    if (!v.secret) vars[v.key] = v.value || '';
+  }
+  return { id: col.uid, path: col.path, vars, files: !!col.envFiles };
+}
+
+const envOverlay = document.getElementById('env-overlay');
+const envTitle = document.getElementById('env-title');
+const envList = document.getElementById('env-list');
+const envFilesInput = document.getElementById('env-files');
+const envFilesInfo = document.getElementById('env-files-info');
+const envError = document.getElementById('env-error');
+const envView = { col: null, rows: [] }; // rows: { key, value, secret, stored } being edited
+
+function openEnvEditor(col) {
+  envView.col = col;
+  envView.rows = (col.env || []).map(v => ({ key: v.key, value: v.secret ? '' : (v.value || ''), secret: !!v.secret, stored: !!v.secret }));
+  envTitle.textContent = `ENVIRONMENT \u2014 ${col.name}`;
+  envFilesInput.checked = !!col.envFiles;
+  envError.textContent = '';
+  renderEnvRows();
+  renderEnvFilesInfo();
+  envOverlay.classList.remove('hidden');
+}
+
+function closeEnvEditor() {
+  envOverlay.classList.add('hidden');
+  envView.col = null;
+}
+
+function renderEnvRows() {
+  envList.innerHTML = '';
+  if (envView.rows.length === 0) {
+    envList.innerHTML = '<p class="env-empty">No variables. Sessions in this collection get your normal environment.</p>';
+    return;
+  }
+  envView.rows.forEach((row, i) => {
+    const el = document.createElement('div');
+    el.className = 'env-row';
+    el.innerHTML = `
+      <input class="env-key" type="text" placeholder="KEY" spellcheck="false" value="${escAttr(row.key)}">
+      <input class="env-value" type="${row.secret ? 'password' : 'text'}" spellcheck="false" value="${escAttr(row.value)}"
+        placeholder="${row.stored ? '\u2022\u2022\u2022\u2022\u2022\u2022 (unchanged)' : 'value'}">
+      <label class="env-secret" title="Store outside state.json and mask it"><input type="checkbox" ${row.secret ? 'checked' : ''}> Secret</label>
+      <button class="env-remove" title="Remove">\u2715</button>
+    `;
+    const [keyInput, valueInput, secretInput] = el.querySelectorAll('input');
+    keyInput.addEventListener('input', () => { row.key = keyInput.value; });
+    valueInput.addEventListener('input', () => { row.value = valueInput.value; });
+    secretInput.addEventListener('change', () => {
+      row.secret = secretInput.checked;
+      valueInput.type = row.secret ? 'password' : 'text';
+    });
+    el.querySelector('.env-remove').addEventListener('click', () => {
+      envView.rows.splice(i, 1);
+      renderEnvRows();
+    });
+    envList.appendChild(el);
   });
-}, 1500);
+}
+
+async function renderEnvFilesInfo() {
+  const col = envView.col;
+  const found = await manifold.previewEnvFiles(col.path);
+  if (envView.col !== col) return;
+  envFilesInfo.textContent = found.length
+    ? found.map(f => `${f.file}: ${f.keys.join(', ') || 'no variables'}` +
+      (f.skipped.length ? ` (skipped ${f.skipped.join(', ')}: needs shell expansion)` : '')).join(' \u00B7 ')
+    : 'No .env or .envrc in this folder.';
+}
+
+async function saveEnvEditor() {
+  const col = envView.col;
+  const rows = envView.rows.map(r => ({ ...r, key: r.key.trim() })).filter(r => r.key || r.value);
+  const seen = new Set();
+  for (const row of rows) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(row.key)) {
+      envError.textContent = `"${row.key}" is not a valid variable name`;
+      return;
+    }
+    if (seen.has(row.key)) {
+      envError.textContent = `${row.key} is set twice`;
+      return;
+    }
+    seen.add(row.key);
+    // A stored secret can only be kept under the name it was saved with
+    if (row.secret && !row.value && !(row.stored && (col.env || []).some(v => v.secret && v.key === row.key))) {
+      envError.textContent = `Enter a value for ${row.key}`;
+      return;
+    }
+  }
+
+  const secrets = rows.filter(r => r.secret);
+  const set = {};
+  for (const r of secrets) {
+    if (r.value) set[r.key] = r.value;
+  }
+  if (Object.keys(set).length && !(await manifold.canEncryptSecrets())) {
+    const ok = confirm('No system keychain is available, so secrets would be saved unencrypted in secrets.json (readable only by your user account). Save them anyway?');
+    if (!ok) return;
+  }
+  if (!col.uid) col.uid = genTabUid();
+  const result = await manifold.setEnvSecrets(col.uid, set, secrets.map(r => r.key));
+  if (!result.success) {
+    envError.textContent = `Could not save secrets: ${result.error}`;
+    return;
+  }
+
+  col.env = rows.map(r => (r.secret ? { key: r.key, secret: true } : { key: r.key, value: r.value, secret: false }));
+  col.envFiles = envFilesInput.checked;
+  closeEnvEditor();
+  saveState();
+}
+
+document.getElementById('env-add-btn').addEventListener('click', () => {
+  envView.rows.push({ key: '', value: '', secret: false, stored: false });
+  renderEnvRows();
+  const keys = envList.querySelectorAll('.env-key');
+  if (keys.length) keys[keys.length - 1].focus();
+});
+document.getElementById('env-save-btn').addEventListener('click', saveEnvEditor);
+document.getElementById('env-close-btn').addEventListener('click', closeEnvEditor);
+envOverlay.addEventListener('click', (e) => {
+  if (e.target === envOverlay) closeEnvEditor();
+});
+
+// ── Notifications ──
+// Native notifications when a session finishes, needs permission or exits.
+// Collections can be muted (col.muted); global settings live in notifySettings.
+
+const notifySettings = {
+  enabled: true,
+  onlyUnfocused: true,
+  quietStart: '', // 'HH:MM' — empty disables quiet hours
+  quietEnd: '',
+};
+const NOTIFY_MIN_INTERVAL = 15000; // per tab and kind, to ride out state flicker
+
+function toMinutes(hhmm) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(hhmm || '');
+  return m ? parseInt(m[1]) * 60 + parseInt(m[2]) : null;
+}
+
+function inQuietHours(now = new Date()) {
+  const start = toMinutes(notifySettings.quietStart);
+  const end = toMinutes(notifySettings.quietEnd);
+  if (start === null || end === null || start === end) return false;
+  const cur = now.getHours() * 60 + now.getMinutes();
+  // Ranges may wrap past midnight (e.g. 22:00 to 07:00)
+  return start < end ? cur >= start && cur < end : cur >= start || cur < end;
+}
+
+function notifyTab({ col, tab }, kind, body) {
+  if (!notifySettings.enabled || col.muted) return;
+  if (notifySettings.onlyUnfocused && document.hasFocus()) return;
+  if (inQuietHours()) return;
+  const last = tab.notifiedAt && tab.notifiedAt[kind];
+  if (last && Date.now() - last < NOTIFY_MIN_INTERVAL) return;
+  tab.notifiedAt = { ...tab.notifiedAt, [kind]: Date.now() };
+  manifold.showNotification({ title: `${col.name} \u203A ${tab.name}`, body, tabId: tab.id }).catch(() => {});
+}
+
+function notifyStateChange(found, prev, st) {
+  if (st === 'waiting-permission') {
+    notifyTab(found, 'permission', 'Waiting for permission approval');
+  } else if (prev === 'working' && (st === 'waiting-input' || st === 'idle')) {
+    notifyTab(found, 'finished', st === 'waiting-input' ? 'Finished — waiting for input' : 'Finished working');
+  }
+}
+
+manifold.onFocusTab((id) => {
+  const found = findTabById(id);
+  if (!found) return;
+  state.collections[found.ci].expanded = true;
+  selectTab(found.ci, found.ti);
+  renderCollections();
+});
 
 // ── Auto-save ──
-setInterval(saveState, 30000);
-manifold.onSaveState(() => saveState());
+setInterval(() => saveState({ scrollback: true }), 30000);
+manifold.onSaveState(async () => {
+  try {
+    await saveState({ scrollback: true });
+  } finally {
+    manifold.notifySaveStateDone();
+  }
+});
+
+// ── Git status ──
+// Branch, dirty count and ahead/behind for every collection path and tab cwd.
+// Non-git folders map to null and show no badge. Every tab row has a badge for
+// its own cwd; worktree rows leave the branch to their worktree label.
+const GIT_REFRESH_INTERVAL = 15000;
+const GIT_TOOLTIP_FILES = 30;
+const gitStatus = new Map(); // path → status | null
+
+function gitPaths() {
+  const paths = new Set();
+  for (const col of state.collections) {
+    paths.add(col.path);
+    for (const tab of col.tabs) if (tab.cwd) paths.add(tab.cwd);
+  }
+  return [...paths];
+}
+
+function formatGitBadge(st, withBranch) {
+  const parts = [];
+  if (withBranch && st.branch) parts.push(`\u2387 ${st.branch}`);
+  if (st.files.length) parts.push(`\u25CF${st.files.length}`);
+  if (st.ahead) parts.push(`\u2191${st.ahead}`);
+  if (st.behind) parts.push(`\u2193${st.behind}`);
+  return parts.join(' ');
+}
+
+function gitTooltip(st) {
+  let head = st.branch || '';
+  if (st.upstream) head += ` \u2192 ${st.upstream}`;
+  if (st.ahead || st.behind) head += ` (ahead ${st.ahead}, behind ${st.behind})`;
+  if (!st.files.length) return `${head}\nClean`;
+  const lines = st.files.slice(0, GIT_TOOLTIP_FILES).map(f => `${f.status} ${f.path}`);
+  if (st.files.length > GIT_TOOLTIP_FILES) lines.push(`\u2026and ${st.files.length - GIT_TOOLTIP_FILES} more`);
+  return `${head}\n${lines.join('\n')}`;
+}
+
+// Fill badges in place from the cache (renderCollections calls this after each render)
+function applyGitBadges() {
+  document.querySelectorAll('.git-badge').forEach((el) => {
+    const st = gitStatus.get(el.dataset.gitpath);
+    el.textContent = st ? formatGitBadge(st, !el.dataset.nobranch) : '';
+    el.title = st ? gitTooltip(st) : '';
+    el.classList.toggle('dirty', !!(st && st.files.length));
+  });
+}
+
+async function refreshGitStatus(paths = gitPaths()) {
+  const result = await manifold.getGitStatus([...new Set(paths)]).catch(() => ({}));
+  for (const [dir, st] of Object.entries(result)) gitStatus.set(dir, st);
+  applyGitBadges();
+}
+
+setInterval(() => refreshGitStatus(), GIT_REFRESH_INTERVAL);
+
+// ── Usage ──
+// Token and cost totals from Claude's conversation files: per tab (counters on rows
+// and grid headers), and by project and day in the usage view.
+const USAGE_REFRESH_INTERVAL = 30000;
+
+function formatTokens(n) {
+  if (n >= 1e6) return `${(n / 1e6).toFixed(1)}M`;
+  if (n >= 1e3) return `${(n / 1e3).toFixed(1)}k`;
+  return String(n);
+}
+
+function formatCost(cost) {
+  return `$${cost < 10 ? cost.toFixed(2) : cost.toFixed(0)}`;
+}
+
+function totalTokens(u) {
+  return u.input + u.output + u.cacheWrite + u.cacheRead;
+}
+
+function formatUsage(u) {
+  if (!u || totalTokens(u) === 0) return '';
+  return u.cost > 0 ? formatCost(u.cost) : formatTokens(totalTokens(u));
+}
+
+function usageTitle(u) {
+  if (!u || totalTokens(u) === 0) return '';
+  return `${formatTokens(u.input)} in \u00B7 ${formatTokens(u.output)} out \u00B7 ` +
+    `${formatTokens(u.cacheWrite)} cache write \u00B7 ${formatTokens(u.cacheRead)} cache read`;
+}
+
+function applyTabUsage(tab) {
+  const els = [
+    document.querySelector(`.row-usage[data-tabid="${tab.id}"]`),
+    terminalGrid.querySelector(`.grid-cell[data-tabid="${tab.id}"] .grid-cell-usage`),
+  ];
+  for (const el of els) {
+    if (!el) continue;
+    el.textContent = formatUsage(tab.usage);
+    el.title = usageTitle(tab.usage);
+  }
+}
+
+async function refreshTabUsage() {
+  const byId = await manifold.getTerminalUsage();
+  for (const col of state.collections) {
+    for (const tab of col.tabs) {
+      if (!byId[tab.id]) continue;
+      tab.usage = byId[tab.id];
+      applyTabUsage(tab);
+    }
+  }
+}
+
+setInterval(() => refreshTabUsage().catch(() => {}), USAGE_REFRESH_INTERVAL);
 
 // ── Window focus handler — scroll active terminal to bottom ──
 manifold.onWindowFocus(() => {
@@ -888,17 +2200,290 @@ document.getElementById('btn-new-collection').addEventListener('click', () => {
   addCollection(true).catch(err => console.error('addCollection failed:', err));
 });
 
+// ── Search ──
+// Local mode drives the active terminal's SearchAddon (highlights + next/previous).
+// Global mode scans every terminal buffer and lists hits grouped by collection and tab.
+
+const searchBar = document.getElementById('search-bar');
+const searchInput = document.getElementById('search-input');
+const searchCount = document.getElementById('search-count');
+const searchResults = document.getElementById('search-results');
+const searchCaseBtn = document.getElementById('search-case');
+const searchRegexBtn = document.getElementById('search-regex');
+const searchGlobalBtn = document.getElementById('search-global');
+
+const SEARCH_MAX_HITS_PER_TAB = 200;
+const SEARCH_MAX_HITS = 1000;
+const SEARCH_DECORATIONS = {
+  matchBackground: '#4a3a20',
+  matchBorder: '#c4a000',
+  matchOverviewRuler: '#c4a000',
+  activeMatchBackground: '#D97757',
+  activeMatchBorder: '#e88868',
+  activeMatchColorOverviewRuler: '#D97757',
+};
+
+let searchCaseSensitive = false;
+let searchUseRegex = false;
+let searchGlobal = false;
+let searchDecoratedTabId = null; // terminal currently showing match decorations
+let searchDebounce = null;
+
+function openSearch(global) {
+  searchGlobal = global;
+  searchGlobalBtn.classList.toggle('active', searchGlobal);
+  searchInput.placeholder = searchGlobal ? 'Search all sessions' : 'Find in session';
+  searchBar.classList.remove('hidden');
+  searchInput.focus();
+  searchInput.select();
+  runSearch();
+}
+
+function closeSearch() {
+  clearTimeout(searchDebounce);
+  clearSearchDecorations();
+  searchBar.classList.add('hidden');
+  searchResults.classList.add('hidden');
+  searchResults.innerHTML = '';
+  const tab = getActiveTab();
+  const inst = tab && terminalInstances.get(tab.id);
+  if (inst) inst.terminal.focus();
+}
+
+function clearSearchDecorations() {
+  const inst = searchDecoratedTabId && terminalInstances.get(searchDecoratedTabId);
+  if (inst && inst.searchAddon) inst.searchAddon.clearDecorations();
+  searchDecoratedTabId = null;
+}
+
+function setSearchCount(text, error = false) {
+  searchCount.textContent = text;
+  searchCount.classList.toggle('error', error);
+}
+
+// Validate the query up front so both modes report bad regexes the same way
+function buildSearchRegex(query, flags) {
+  const source = searchUseRegex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(source, flags + (searchCaseSensitive ? '' : 'i'));
+}
+
+function runSearch() {
+  const query = searchInput.value;
+  if (!query) {
+    clearSearchDecorations();
+    setSearchCount('');
+    searchResults.classList.add('hidden');
+    return;
+  }
+  try {
+    buildSearchRegex(query, '');
+  } catch (_) {
+    clearSearchDecorations();
+    setSearchCount('invalid regex', true);
+    return;
+  }
+  if (searchGlobal) {
+    clearSearchDecorations();
+    searchAllSessions(query);
+  } else {
+    searchResults.classList.add('hidden');
+    findInActiveSession(query, 'next', true);
+  }
+}
+
+function findInActiveSession(query, direction, incremental = false) {
+  const tab = getActiveTab();
+  const inst = tab && terminalInstances.get(tab.id);
+  if (!inst || !inst.searchAddon) return;
+  if (searchDecoratedTabId !== tab.id) clearSearchDecorations();
+  searchDecoratedTabId = tab.id;
+  const opts = {
+    caseSensitive: searchCaseSensitive,
+    regex: searchUseRegex,
+    incremental,
+    decorations: SEARCH_DECORATIONS,
+  };
+  const found = direction === 'prev'
+    ? inst.searchAddon.findPrevious(query, opts)
+    : inst.searchAddon.findNext(query, opts);
+  if (!found) setSearchCount('no matches');
+}
+
+function onSearchResults(tabId, { resultIndex, resultCount }) {
+  if (tabId !== searchDecoratedTabId || searchGlobal) return;
+  if (resultCount === 0) setSearchCount('no matches');
+  else if (resultIndex < 0) setSearchCount(`${resultCount}+`);
+  else setSearchCount(`${resultIndex + 1}/${resultCount}`);
+}
+
+// Scan one terminal's buffer (scrollback + screen) -> [{ line, col, len, text }]
+function searchBuffer(terminal, regex, limit) {
+  const hits = [];
+  const buffer = terminal.buffer.active;
+  for (let i = 0; i < buffer.length && hits.length < limit; i++) {
+    const line = buffer.getLine(i);
+    if (!line) continue;
+    const text = line.translateToString(true);
+    regex.lastIndex = 0;
+    const m = regex.exec(text);
+    if (m && m[0].length > 0) hits.push({ line: i, col: m.index, len: m[0].length, text });
+  }
+  return hits;
+}
+
+function searchAllSessions(query) {
+  const regex = buildSearchRegex(query, 'g');
+  const groups = [];
+  let total = 0;
+  state.collections.forEach((col, ci) => {
+    col.tabs.forEach((tab, ti) => {
+      if (total >= SEARCH_MAX_HITS) return;
+      const inst = terminalInstances.get(tab.id);
+      if (!inst) return;
+      const hits = searchBuffer(inst.terminal, regex, Math.min(SEARCH_MAX_HITS_PER_TAB, SEARCH_MAX_HITS - total));
+      if (hits.length === 0) return;
+      total += hits.length;
+      groups.push({ ci, ti, col, tab, hits });
+    });
+  });
+
+  setSearchCount(total >= SEARCH_MAX_HITS ? `${total}+ hits` : `${total} hits`);
+  searchResults.innerHTML = '';
+  if (groups.length === 0) {
+    searchResults.innerHTML = '<div class="search-empty">No matches in any session.</div>';
+    searchResults.classList.remove('hidden');
+    return;
+  }
+
+  let lastCol = null;
+  for (const { ci, ti, col, tab, hits } of groups) {
+    if (col !== lastCol) {
+      const colEl = document.createElement('div');
+      colEl.className = 'search-group-collection';
+      colEl.textContent = col.name;
+      searchResults.appendChild(colEl);
+      lastCol = col;
+    }
+    const tabEl = document.createElement('div');
+    tabEl.className = 'search-group-tab';
+    tabEl.textContent = `${tab.name} (${hits.length})`;
+    searchResults.appendChild(tabEl);
+
+    for (const hit of hits) {
+      const start = Math.max(0, hit.col - 30);
+      const before = hit.text.slice(start, hit.col);
+      const match = hit.text.slice(hit.col, hit.col + hit.len);
+      const after = hit.text.slice(hit.col + hit.len, hit.col + hit.len + 60);
+      const item = document.createElement('div');
+      item.className = 'search-hit';
+      item.innerHTML = `<span class="search-hit-line">${hit.line + 1}</span>` +
+        `<span class="search-hit-text">${start > 0 ? '\u2026' : ''}${escHtml(before)}<mark>${escHtml(match)}</mark>${escHtml(after)}</span>`;
+      item.addEventListener('click', () => {
+        selectTab(ci, ti);
+        revealSearchHit(tab.id, hit);
+      });
+      searchResults.appendChild(item);
+    }
+  }
+  searchResults.classList.remove('hidden');
+}
+
+function revealSearchHit(tabId, hit) {
+  // selectTab refits and scrolls to the bottom once layout settles; reveal after that
+  setTimeout(() => {
+    const inst = terminalInstances.get(tabId);
+    if (!inst) return;
+    const top = Math.max(0, hit.line - Math.floor(inst.terminal.rows / 2));
+    inst.terminal.scrollToLine(top);
+    inst.terminal.select(hit.col, hit.line, hit.len);
+  }, 150);
+}
+
+searchInput.addEventListener('input', () => {
+  clearTimeout(searchDebounce);
+  searchDebounce = setTimeout(runSearch, searchGlobal ? 250 : 50);
+});
+searchInput.addEventListener('keydown', (e) => {
+  if (e.key !== 'Enter') return;
+  e.preventDefault();
+  if (searchGlobal) runSearch();
+  else if (searchInput.value) findInActiveSession(searchInput.value, e.shiftKey ? 'prev' : 'next');
+});
+document.getElementById('search-next').addEventListener('click', () => {
+  if (searchInput.value && !searchGlobal) findInActiveSession(searchInput.value, 'next');
+});
+document.getElementById('search-prev').addEventListener('click', () => {
+  if (searchInput.value && !searchGlobal) findInActiveSession(searchInput.value, 'prev');
+});
+searchCaseBtn.addEventListener('click', () => {
+  searchCaseSensitive = !searchCaseSensitive;
+  searchCaseBtn.classList.toggle('active', searchCaseSensitive);
+  runSearch();
+});
+searchRegexBtn.addEventListener('click', () => {
+  searchUseRegex = !searchUseRegex;
+  searchRegexBtn.classList.toggle('active', searchUseRegex);
+  runSearch();
+});
+searchGlobalBtn.addEventListener('click', () => openSearch(!searchGlobal));
+document.getElementById('search-close').addEventListener('click', closeSearch);
+
+// ── Command line ──
+// `manifold /path [--prompt "..."]`, from a fresh launch or a second one forwarded by main:
+// select the path's collection (or create it), starting a session when there's a prompt.
+
+function samePath(a, b) {
+  const norm = p => (p || '').replace(/[\\/]+$/, '');
+  return norm(a) === norm(b);
+}
+
+function openFromCommandLine({ path: dir, prompt }) {
+  const ci = state.collections.findIndex(c => samePath(c.path, dir));
+  if (ci < 0) {
+    addCollectionAt(dir, prompt);
+    return;
+  }
+  const col = state.collections[ci];
+  if (prompt || col.tabs.length === 0) {
+    addSession(ci, null, null, null, prompt);
+    return;
+  }
+  col.expanded = true;
+  const ti = ci === state.activeCollectionIdx ? Math.max(0, state.activeTabIdx) : 0;
+  selectTab(ci, ti);
+  renderCollections();
+}
+
+manifold.onCliOpen(openFromCommandLine);
+
 // ── Settings modal ──
 const settingsOverlay = document.getElementById('settings-overlay');
 
+function openSettings() {
+  document.getElementById('settings-tool-name').textContent = currentTool ? toolName(currentTool) : 'Not selected';
+  settingsOverlay.classList.remove('hidden');
+  refreshSchedules();
+  loadKeybindings();
+  loadThemes();
+}
+
 document.getElementById('settings-btn').addEventListener('click', () => {
-  document.getElementById('settings-tool-name').textContent = TOOL_NAMES[currentTool] || 'Not selected';
-  settingsOverlay.classList.toggle('hidden');
+  if (settingsOverlay.classList.contains('hidden')) openSettings();
+  else settingsOverlay.classList.add('hidden');
 });
 
 document.getElementById('tool-change-btn').addEventListener('click', async () => {
   settingsOverlay.classList.add('hidden');
-  await showToolSelector();
+  const tool = await showToolSelector({ cancellable: true });
+  if (!tool) return;
+  currentTool = tool;
+  await manifold.setSelectedTool(tool);
+  renderCollections();
+  saveState();
+});
+document.getElementById('tools-file-btn').addEventListener('click', async () => {
+  const result = await manifold.openToolsFile();
+  if (!result.success) alert(`Could not open tools.json: ${result.error}`);
 });
 document.getElementById('settings-close-btn').addEventListener('click', () => {
   settingsOverlay.classList.add('hidden');
@@ -1124,7 +2709,944 @@ document.getElementById('journal-export-btn').addEventListener('click', async ()
   }
 });
 
-// ── UI Scale slider ──
+// ── Conversation history ──
+// Past Claude conversations for a collection's folder, resumable into a new tab.
+const historyOverlay = document.getElementById('history-overlay');
+const historyTitle = document.getElementById('history-title');
+const historyList = document.getElementById('history-list');
+let historyCollection = null; // the collection object the panel was opened for
+
+function formatAgo(ms) {
+  const mins = Math.floor((Date.now() - ms) / 60000);
+  if (mins < 1) return 'just now';
+  if (mins < 60) return `${mins}m ago`;
+  const hours = Math.floor(mins / 60);
+  if (hours < 24) return `${hours}h ago`;
+  const days = Math.floor(hours / 24);
+  if (days < 30) return `${days}d ago`;
+  return new Date(ms).toLocaleDateString();
+}
+
+async function openHistory(ci) {
+  const col = state.collections[ci];
+  if (!col) return;
+  historyCollection = col;
+  historyTitle.textContent = `HISTORY \u2014 ${col.name}`;
+  historyList.innerHTML = '<p class="history-empty">Loading…</p>';
+  historyOverlay.classList.remove('hidden');
+
+  const convos = await manifold.listConversations(col.path);
+  if (historyCollection !== col) return; // closed or reopened for another collection meanwhile
+  renderHistory(convos);
+}
+
+function closeHistory() {
+  historyOverlay.classList.add('hidden');
+  historyCollection = null;
+}
+
+function renderHistory(convos) {
+  historyList.innerHTML = '';
+  if (convos.length === 0) {
+    historyList.innerHTML = '<p class="history-empty">No Claude conversations found for this folder.</p>';
+    return;
+  }
+
+  for (const convo of convos) {
+    const owner = convo.claimedBy ? findTabById(convo.claimedBy) : null;
+    const item = document.createElement('div');
+    item.className = 'history-item' + (owner ? ' claimed' : '');
+    item.innerHTML = `
+      <div class="history-item-main">
+        <div class="history-prompt">${escHtml(convo.firstPrompt || '(no prompt)')}</div>
+        <div class="history-meta">
+          ${formatAgo(convo.lastActivity)} &middot; ${convo.messageCount} message${convo.messageCount === 1 ? '' : 's'}
+          ${owner ? `&middot; <span class="history-open">open in ${escHtml(owner.tab.name)}</span>` : ''}
+        </div>
+      </div>
+      <button class="history-action">${owner ? 'Go to' : 'Resume'}</button>
+    `;
+    item.querySelector('.history-action').addEventListener('click', () => {
+      const ci = state.collections.indexOf(historyCollection);
+      closeHistory();
+      if (owner) {
+        state.collections[owner.ci].expanded = true;
+        selectTab(owner.ci, owner.ti);
+        renderCollections();
+      } else if (ci >= 0) {
+        resumeConversation(ci, convo);
+      }
+    });
+    historyList.appendChild(item);
+  }
+}
+
+document.getElementById('history-close-btn').addEventListener('click', closeHistory);
+historyOverlay.addEventListener('click', (e) => {
+  if (e.target === historyOverlay) closeHistory();
+});
+
+// ── Usage view ──
+const usageOverlay = document.getElementById('usage-overlay');
+const usageFromInput = document.getElementById('usage-from');
+const usageToInput = document.getElementById('usage-to');
+const usageSummary = document.getElementById('usage-summary');
+const usageProjects = document.getElementById('usage-projects');
+const usageDays = document.getElementById('usage-days');
+const usageSessions = document.getElementById('usage-sessions');
+const usagePrices = document.getElementById('usage-prices');
+const PRICE_FIELDS = ['input', 'output', 'cacheWrite', 'cacheRead'];
+
+function dayString(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// Last N days including today; 0 clears the range
+function setUsageRange(days) {
+  if (days === 0) {
+    usageFromInput.value = '';
+    usageToInput.value = '';
+  } else {
+    const from = new Date();
+    from.setDate(from.getDate() - (days - 1));
+    usageFromInput.value = dayString(from);
+    usageToInput.value = dayString(new Date());
+  }
+  loadUsage();
+}
+
+function usageCells(u) {
+  return `
+    <td>${formatTokens(u.input)}</td>
+    <td>${formatTokens(u.output)}</td>
+    <td>${formatTokens(u.cacheWrite)}</td>
+    <td>${formatTokens(u.cacheRead)}</td>
+    <td class="usage-cost">${formatCost(u.cost)}</td>
+  `;
+}
+
+function usageTable(label, rows) {
+  if (rows.length === 0) return '<p class="usage-empty">No usage in this range.</p>';
+  return `
+    <table class="usage-table">
+      <tr><th>${label}</th><th>Input</th><th>Output</th><th>Cache write</th><th>Cache read</th><th>Cost</th></tr>
+      ${rows.map(r => `<tr class="${r.cls || ''}"><td class="usage-label" title="${escAttr(r.title || r.name)}">${escHtml(r.name)}</td>${usageCells(r.usage)}</tr>`).join('')}
+    </table>
+  `;
+}
+
+// The collection a conversation cwd belongs to: the one whose folder, tab folder or
+// worktree contains it (deepest match wins), or null
+function usageCollection(cwd) {
+  const within = (dir) => {
+    if (!dir) return false;
+    const root = dir.replace(/[\\/]+$/, '');
+    return cwd === root || cwd.startsWith(root + '/') || cwd.startsWith(root + '\\');
+  };
+  let best = null;
+  let bestLength = -1;
+  for (const col of state.collections) {
+    const dirs = [col.path, ...col.tabs.map(t => t.cwd), ...col.tabs.map(t => t.worktree && t.worktree.path)];
+    for (const dir of dirs) {
+      if (within(dir) && dir.length > bestLength) {
+        best = col;
+        bestLength = dir.length;
+      }
+    }
+  }
+  return best;
+}
+
+// Project totals summed per collection; folders outside every collection keep their own row
+function usageByCollection(byProject) {
+  const rows = new Map(); // collection or cwd → row
+  for (const p of byProject) {
+    const col = usageCollection(p.cwd);
+    const key = col || p.cwd;
+    if (!rows.has(key)) {
+      rows.set(key, {
+        name: col ? col.name : p.cwd.split(/[\\/]/).filter(Boolean).pop() || p.cwd,
+        title: col ? col.path : p.cwd,
+        usage: { input: 0, output: 0, cacheWrite: 0, cacheRead: 0, cost: 0 },
+      });
+    }
+    const sum = rows.get(key).usage;
+    for (const k of Object.keys(sum)) sum[k] += p[k];
+  }
+  return [...rows.values()].sort((a, b) => b.usage.cost - a.usage.cost);
+}
+
+async function loadUsage() {
+  usageSummary.textContent = 'Loading…';
+  let result;
+  try {
+    result = await manifold.queryUsage({ from: usageFromInput.value || null, to: usageToInput.value || null });
+  } catch (err) {
+    usageSummary.textContent = `Couldn't read usage: ${err.message}`;
+    return;
+  }
+  usageSummary.textContent = `${formatCost(result.total.cost)} \u00B7 ${formatTokens(totalTokens(result.total))} tokens`;
+  usageProjects.innerHTML = usageTable('Collection or folder', usageByCollection(result.byProject));
+  usageDays.innerHTML = usageTable('Day', result.byDay.map(d => ({ name: d.day, usage: d })));
+}
+
+// Whole-conversation totals for the open tabs, with a subtotal per collection
+async function renderSessionUsage() {
+  await refreshTabUsage().catch(() => {});
+  const rows = [];
+  for (const col of state.collections) {
+    const tabs = col.tabs.filter(t => t.usage && totalTokens(t.usage) > 0);
+    if (tabs.length === 0) continue;
+    const sum = { input: 0, output: 0, cacheWrite: 0, cacheRead: 0, cost: 0 };
+    for (const t of tabs) for (const k of Object.keys(sum)) sum[k] += t.usage[k];
+    rows.push({ name: col.name, usage: sum, cls: 'usage-subtotal' });
+    for (const t of tabs) rows.push({ name: `  ${t.name}`, usage: t.usage });
+  }
+  usageSessions.innerHTML = usageTable('Session', rows);
+}
+
+function priceRow(model, price) {
+  const row = document.createElement('tr');
+  row.innerHTML = `
+    <td><input class="usage-price-model" type="text" value="${escAttr(model)}" placeholder="model name contains…"></td>
+    ${PRICE_FIELDS.map(f => `<td><input class="usage-price" data-field="${f}" type="number" min="0" step="0.01" value="${price[f] != null ? price[f] : 0}"></td>`).join('')}
+    <td><button class="usage-price-remove" title="Remove">\u2715</button></td>
+  `;
+  row.querySelector('.usage-price-remove').addEventListener('click', () => row.remove());
+  return row;
+}
+
+async function loadPrices() {
+  const prices = await manifold.getPrices();
+  const body = usagePrices.querySelector('tbody');
+  body.innerHTML = '';
+  for (const [model, price] of Object.entries(prices)) body.appendChild(priceRow(model, price));
+}
+
+async function savePrices() {
+  const prices = {};
+  for (const row of usagePrices.querySelectorAll('tbody tr')) {
+    const model = row.querySelector('.usage-price-model').value.trim();
+    if (!model) continue;
+    prices[model] = {};
+    for (const input of row.querySelectorAll('.usage-price')) {
+      prices[model][input.dataset.field] = parseFloat(input.value) || 0;
+    }
+  }
+  const btn = document.getElementById('usage-prices-save');
+  const result = await manifold.setPrices(prices);
+  btn.textContent = result.success ? 'Saved' : 'Save failed';
+  setTimeout(() => { btn.textContent = 'Save prices'; }, 1500);
+  if (result.success) {
+    loadUsage();
+    renderSessionUsage();
+  }
+}
+
+function openUsageView() {
+  usageOverlay.classList.remove('hidden');
+  if (!usageFromInput.value && !usageToInput.value) setUsageRange(7);
+  else loadUsage();
+  renderSessionUsage();
+  loadPrices();
+}
+
+function closeUsageView() {
+  usageOverlay.classList.add('hidden');
+}
+
+document.getElementById('usage-btn').addEventListener('click', openUsageView);
+document.getElementById('usage-close-btn').addEventListener('click', closeUsageView);
+usageOverlay.addEventListener('click', (e) => {
+  if (e.target === usageOverlay) closeUsageView();
+});
+document.querySelectorAll('.usage-range-btn').forEach((btn) => {
+  btn.addEventListener('click', () => setUsageRange(parseInt(btn.dataset.days)));
+});
+usageFromInput.addEventListener('change', loadUsage);
+usageToInput.addEventListener('change', loadUsage);
+document.getElementById('usage-prices-add').addEventListener('click', () => {
+  usagePrices.querySelector('tbody').appendChild(priceRow('', {}));
+});
+document.getElementById('usage-prices-save').addEventListener('click', savePrices);
+
+// ── Diff viewer ──
+// What changed in a tab's repo: against HEAD, or since the session started (main
+// snapshots the working tree at spawn). Files can be staged or reverted one by one.
+const diffOverlay = document.getElementById('diff-overlay');
+const diffTitle = document.getElementById('diff-title');
+const diffModeSelect = document.getElementById('diff-mode');
+const diffLayoutBtn = document.getElementById('diff-layout-btn');
+const diffFileList = document.getElementById('diff-files');
+const diffContent = document.getElementById('diff-content');
+
+const diffView = {
+  tab: null,
+  base: null, // session start snapshot, when main has one
+  root: null,
+  files: [],
+  selected: null, // path of the file being shown
+  sideBySide: false,
+};
+
+async function openDiffViewer(tab) {
+  diffView.tab = tab;
+  diffView.selected = null;
+  diffView.base = await manifold.getDiffBase(tab.id).catch(() => null);
+  diffModeSelect.querySelector('option[value="session"]').disabled = !diffView.base;
+  if (!diffView.base) diffModeSelect.value = 'head';
+  diffTitle.textContent = `CHANGES \u2014 ${tab.name}`;
+  diffOverlay.classList.remove('hidden');
+  loadDiffFiles();
+}
+
+function closeDiffViewer() {
+  diffOverlay.classList.add('hidden');
+  diffView.tab = null;
+  // Staging and reverting change the badges
+  refreshGitStatus();
+}
+
+async function loadDiffFiles() {
+  const tab = diffView.tab;
+  if (!tab) return;
+  const base = diffModeSelect.value === 'session' ? diffView.base : null;
+  const result = await manifold.getDiffFiles(tab.cwd, base);
+  if (diffView.tab !== tab) return;
+  if (!result.success) {
+    diffView.files = [];
+    diffFileList.innerHTML = '';
+    diffContent.innerHTML = `<p class="diff-empty">${escHtml(result.error)}</p>`;
+    return;
+  }
+  diffView.root = result.root;
+  diffView.files = result.files;
+  if (!diffView.files.some(f => f.path === diffView.selected)) {
+    diffView.selected = diffView.files.length ? diffView.files[0].path : null;
+  }
+  renderDiffFiles();
+  showFileDiff();
+}
+
+function renderDiffFiles() {
+  diffFileList.innerHTML = '';
+  if (diffView.files.length === 0) {
+    diffContent.innerHTML = '<p class="diff-empty">No changes.</p>';
+    return;
+  }
+  for (const file of diffView.files) {
+    const item = document.createElement('div');
+    item.className = 'diff-file' + (file.path === diffView.selected ? ' selected' : '');
+    item.innerHTML = `
+      <span class="diff-file-status diff-status-${file.status === '?' ? 'new' : file.status.toLowerCase()}">${escHtml(file.status)}</span>
+      <span class="diff-file-path" title="${escAttr(file.path)}">${escHtml(file.path)}</span>
+      ${file.staged ? '<span class="diff-file-staged" title="Staged">\u2713</span>' : ''}
+      <button class="diff-stage" title="Stage file">+</button>
+      <button class="diff-revert" title="Revert file">\u21B6</button>
+    `;
+    item.addEventListener('click', (e) => {
+      if (e.target.tagName === 'BUTTON') return;
+      diffView.selected = file.path;
+      renderDiffFiles();
+      showFileDiff();
+    });
+    item.querySelector('.diff-stage').addEventListener('click', () => diffFileAction(file, 'stage'));
+    item.querySelector('.diff-revert').addEventListener('click', () => diffFileAction(file, 'revert'));
+    diffFileList.appendChild(item);
+  }
+}
+
+async function diffFileAction(file, action) {
+  if (action === 'revert' && !confirm(`Discard all changes to ${file.path}?`)) return;
+  const result = action === 'stage'
+    ? await manifold.stageFile(diffView.root, file.path)
+    : await manifold.revertFile(diffView.root, file.path, diffModeSelect.value === 'session' ? diffView.base : null);
+  if (!result.success) alert(`Could not ${action} ${file.path}: ${result.error}`);
+  loadDiffFiles();
+}
+
+async function showFileDiff() {
+  const file = diffView.files.find(f => f.path === diffView.selected);
+  if (!file) return;
+  const tab = diffView.tab;
+  const result = await manifold.getFileDiff({
+    root: diffView.root,
+    file: file.path,
+    base: diffModeSelect.value === 'session' ? diffView.base : null,
+    untracked: file.status === '?',
+  });
+  if (diffView.tab !== tab || diffView.selected !== file.path) return;
+  if (!result.success) {
+    diffContent.innerHTML = `<p class="diff-empty">${escHtml(result.error)}</p>`;
+    return;
+  }
+  const hunks = parseDiff(result.diff);
+  if (hunks.length === 0) {
+    // Binary files, mode changes and the like
+    diffContent.innerHTML = `<pre class="diff-raw">${escHtml(result.diff || 'No textual changes.')}</pre>`;
+    return;
+  }
+  diffContent.innerHTML = diffView.sideBySide ? renderSideBySide(hunks) : renderUnified(hunks);
+}
+
+function parseDiff(text) {
+  const hunks = [];
+  let hunk = null;
+  let oldNo = 0;
+  let newNo = 0;
+  // Only the final newline ends the text; blank context lines before it are ' '
+  for (const line of text.replace(/\n$/, '').split('\n')) {
+    const m = /^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/.exec(line);
+    if (m) {
+      hunk = { header: line, lines: [] };
+      hunks.push(hunk);
+      oldNo = parseInt(m[1]);
+      newNo = parseInt(m[2]);
+    } else if (!hunk || line.startsWith('\\')) {
+      // File headers before the first hunk; "\ No newline at end of file"
+    } else if (line[0] === '+') {
+      hunk.lines.push({ type: 'add', text: line.slice(1), newNo: newNo++ });
+    } else if (line[0] === '-') {
+      hunk.lines.push({ type: 'del', text: line.slice(1), oldNo: oldNo++ });
+    } else {
+      hunk.lines.push({ type: 'ctx', text: line.slice(1), oldNo: oldNo++, newNo: newNo++ });
+    }
+  }
+  return hunks;
+}
+
+function diffCell(no, text, type) {
+  return `<td class="diff-no">${no != null ? no : ''}</td><td class="diff-line diff-${type}">${text != null ? escHtml(text) : ''}</td>`;
+}
+
+function renderUnified(hunks) {
+  const rows = [];
+  for (const hunk of hunks) {
+    rows.push(`<tr class="diff-hunk"><td colspan="3">${escHtml(hunk.header)}</td></tr>`);
+    for (const l of hunk.lines) {
+      const sign = l.type === 'add' ? '+' : l.type === 'del' ? '-' : ' ';
+      rows.push(`<tr><td class="diff-no">${l.oldNo != null ? l.oldNo : ''}</td>${diffCell(l.newNo, sign + l.text, l.type)}</tr>`);
+    }
+  }
+  return `<table class="diff-table">${rows.join('')}</table>`;
+}
+
+// Context lines span both sides; runs of removals and additions are paired row by row
+function renderSideBySide(hunks) {
+  const rows = [];
+  for (const hunk of hunks) {
+    rows.push(`<tr class="diff-hunk"><td colspan="4">${escHtml(hunk.header)}</td></tr>`);
+    let dels = [];
+    let adds = [];
+    const flush = () => {
+      for (let i = 0; i < Math.max(dels.length, adds.length); i++) {
+        const d = dels[i];
+        const a = adds[i];
+        rows.push(`<tr>${d ? diffCell(d.oldNo, d.text, 'del') : diffCell(null, null, 'blank')}${a ? diffCell(a.newNo, a.text, 'add') : diffCell(null, null, 'blank')}</tr>`);
+      }
+      dels = [];
+      adds = [];
+    };
+    for (const l of hunk.lines) {
+      if (l.type === 'del') {
+        if (adds.length) flush();
+        dels.push(l);
+      } else if (l.type === 'add') {
+        adds.push(l);
+      } else {
+        flush();
+        rows.push(`<tr>${diffCell(l.oldNo, l.text, 'ctx')}${diffCell(l.newNo, l.text, 'ctx')}</tr>`);
+      }
+    }
+    flush();
+  }
+  return `<table class="diff-table side-by-side">${rows.join('')}</table>`;
+}
+
+diffModeSelect.addEventListener('change', loadDiffFiles);
+diffLayoutBtn.addEventListener('click', () => {
+  diffView.sideBySide = !diffView.sideBySide;
+  diffLayoutBtn.textContent = diffView.sideBySide ? 'Unified' : 'Side by side';
+  showFileDiff();
+});
+document.getElementById('diff-refresh-btn').addEventListener('click', loadDiffFiles);
+document.getElementById('diff-close-btn').addEventListener('click', closeDiffViewer);
+diffOverlay.addEventListener('click', (e) => {
+  if (e.target === diffOverlay) closeDiffViewer();
+});
+
+// ── Prompt library ──
+// Named prompts from the personal library and the active collection's shared one.
+// Picking a prompt fills its {{placeholders}} and types it into the active session.
+const promptsOverlay = document.getElementById('prompts-overlay');
+const promptsSearch = document.getElementById('prompts-search');
+const promptsList = document.getElementById('prompts-list');
+const promptsEditor = document.getElementById('prompts-editor');
+const promptNameInput = document.getElementById('prompt-name');
+const promptTagsInput = document.getElementById('prompt-tags');
+const promptBodyInput = document.getElementById('prompt-body');
+const promptScopeSelect = document.getElementById('prompt-scope');
+
+const promptLib = {
+  global: [],
+  project: [],
+  tab: null, // session the prompt will be typed into
+  col: null,
+  selection: '', // terminal selection when the picker opened
+  matches: [], // { scope, index, prompt } after filtering
+  highlighted: 0,
+  editing: null, // { scope, index } of the prompt being edited; index -1 for new
+};
+
+async function openPromptPicker() {
+  const tab = getActiveTab();
+  const col = getActiveCollection();
+  if (!tab || !col) return;
+  const inst = terminalInstances.get(tab.id);
+  promptLib.tab = tab;
+  promptLib.col = col;
+  promptLib.selection = inst ? inst.terminal.getSelection() : '';
+  promptsEditor.classList.add('hidden');
+  promptsSearch.value = '';
+  promptsOverlay.classList.remove('hidden');
+  promptsSearch.focus();
+  await loadPromptLibrary();
+  // {{branch}} needs fresh status if the badge refresh hasn't seen this folder yet
+  if (!gitStatus.has(tab.cwd)) refreshGitStatus([tab.cwd]);
+}
+
+function closePromptPicker() {
+  promptsOverlay.classList.add('hidden');
+  promptLib.editing = null;
+  const tab = getActiveTab();
+  const inst = tab && terminalInstances.get(tab.id);
+  if (inst) inst.terminal.focus();
+}
+
+async function loadPromptLibrary() {
+  const lib = await manifold.loadPrompts(promptLib.col.path);
+  promptLib.global = lib.global;
+  promptLib.project = lib.project;
+  renderPromptList();
+}
+
+function renderPromptList() {
+  const terms = promptsSearch.value.toLowerCase().split(/\s+/).filter(Boolean);
+  const all = [
+    ...promptLib.project.map((prompt, index) => ({ scope: 'project', index, prompt })),
+    ...promptLib.global.map((prompt, index) => ({ scope: 'global', index, prompt })),
+  ];
+  promptLib.matches = all.filter(({ prompt }) => {
+    const haystack = `${prompt.name} ${prompt.tags.join(' ')} ${prompt.body}`.toLowerCase();
+    return terms.every(t => haystack.includes(t));
+  });
+  promptLib.highlighted = Math.min(promptLib.highlighted, Math.max(0, promptLib.matches.length - 1));
+
+  promptsList.innerHTML = '';
+  if (promptLib.matches.length === 0) {
+    promptsList.innerHTML = `<p class="prompts-empty">${all.length ? 'No matching prompts.' : 'No prompts yet. Click New to add one.'}</p>`;
+    return;
+  }
+  promptLib.matches.forEach((match, i) => {
+    const { prompt, scope } = match;
+    const item = document.createElement('div');
+    item.className = 'prompt-item' + (i === promptLib.highlighted ? ' highlighted' : '');
+    item.innerHTML = `
+      <div class="prompt-item-main">
+        <div class="prompt-item-name">
+          ${escHtml(prompt.name)}
+          ${scope === 'project' ? `<span class="prompt-scope" title="Shared in ${escAttr(promptLib.col.path)}/.manifold/prompts.json">${escHtml(promptLib.col.name)}</span>` : ''}
+          ${prompt.tags.map(t => `<span class="prompt-tag">${escHtml(t)}</span>`).join('')}
+        </div>
+        <div class="prompt-item-body">${escHtml(prompt.body.split('\n')[0])}</div>
+      </div>
+      <button class="prompt-edit" title="Edit">\u270E</button>
+      <button class="prompt-delete" title="Delete">\u2715</button>
+    `;
+    item.addEventListener('click', (e) => {
+      if (e.target.tagName === 'BUTTON') return;
+      insertPrompt(prompt);
+    });
+    item.querySelector('.prompt-edit').addEventListener('click', () => editPrompt(match));
+    item.querySelector('.prompt-delete').addEventListener('click', () => deletePrompt(match));
+    promptsList.appendChild(item);
+  });
+}
+
+function renderPromptText(body) {
+  const { tab, col, selection } = promptLib;
+  const st = gitStatus.get(tab.cwd);
+  const vars = {
+    branch: (st && st.branch) || '',
+    collection: col.name,
+    selection,
+    cwd: tab.cwd,
+    session: tab.name,
+  };
+  // Unknown placeholders are left as typed
+  return body.replace(/\{\{\s*(\w+)\s*\}\}/g, (m, key) => (key in vars ? vars[key] : m));
+}
+
+function insertPrompt(prompt) {
+  pasteToSession(promptLib.tab, renderPromptText(prompt.body));
+  closePromptPicker();
+}
+
+function editPrompt(match) {
+  const prompt = match ? match.prompt : { name: '', tags: [], body: '' };
+  promptLib.editing = match ? { scope: match.scope, index: match.index } : { scope: 'global', index: -1 };
+  promptNameInput.value = prompt.name;
+  promptTagsInput.value = prompt.tags.join(', ');
+  promptBodyInput.value = prompt.body;
+  promptScopeSelect.value = promptLib.editing.scope;
+  promptScopeSelect.querySelector('option[value="project"]').textContent = `${promptLib.col.name} (shared in .manifold/prompts.json)`;
+  promptsEditor.classList.remove('hidden');
+  promptNameInput.focus();
+}
+
+async function savePromptLists(scopes) {
+  for (const scope of new Set(scopes)) {
+    const result = await manifold.savePrompts(scope, promptLib.col.path, promptLib[scope]);
+    if (!result.success) alert(`Could not save prompts: ${result.error}`);
+  }
+}
+
+async function saveEditedPrompt() {
+  const name = promptNameInput.value.trim();
+  if (!name || !promptBodyInput.value.trim()) {
+    (name ? promptBodyInput : promptNameInput).focus();
+    return;
+  }
+  const prompt = {
+    name,
+    tags: promptTagsInput.value.split(',').map(t => t.trim()).filter(Boolean),
+    body: promptBodyInput.value,
+  };
+  const { scope, index } = promptLib.editing;
+  const target = promptScopeSelect.value;
+  if (index >= 0) promptLib[scope].splice(index, 1);
+  if (index >= 0 && target === scope) promptLib[target].splice(index, 0, prompt);
+  else promptLib[target].push(prompt);
+  await savePromptLists([scope, target]);
+  promptLib.editing = null;
+  promptsEditor.classList.add('hidden');
+  renderPromptList();
+  promptsSearch.focus();
+}
+
+async function deletePrompt({ scope, index, prompt }) {
+  if (!confirm(`Delete prompt "${prompt.name}"?`)) return;
+  promptLib[scope].splice(index, 1);
+  await savePromptLists([scope]);
+  renderPromptList();
+}
+
+promptsSearch.addEventListener('input', () => {
+  promptLib.highlighted = 0;
+  renderPromptList();
+});
+promptsSearch.addEventListener('keydown', (e) => {
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    e.preventDefault();
+    const n = promptLib.matches.length;
+    if (n === 0) return;
+    promptLib.highlighted = (promptLib.highlighted + (e.key === 'ArrowDown' ? 1 : n - 1)) % n;
+    renderPromptList();
+  } else if (e.key === 'Enter') {
+    e.preventDefault();
+    const match = promptLib.matches[promptLib.highlighted];
+    if (match) insertPrompt(match.prompt);
+  }
+});
+document.getElementById('prompts-new-btn').addEventListener('click', () => editPrompt(null));
+document.getElementById('prompt-save-btn').addEventListener('click', saveEditedPrompt);
+document.getElementById('prompt-cancel-btn').addEventListener('click', () => {
+  promptLib.editing = null;
+  promptsEditor.classList.add('hidden');
+  promptsSearch.focus();
+});
+document.getElementById('prompts-import-btn').addEventListener('click', async () => {
+  const result = await manifold.importPrompts();
+  if (result.error) alert(`Import failed: ${result.error}`);
+  if (result.success) loadPromptLibrary();
+});
+document.getElementById('prompts-export-btn').addEventListener('click', async () => {
+  const result = await manifold.exportPrompts();
+  if (result.error) alert(`Export failed: ${result.error}`);
+});
+document.getElementById('prompts-close-btn').addEventListener('click', closePromptPicker);
+promptsOverlay.addEventListener('click', (e) => {
+  if (e.target === promptsOverlay) closePromptPicker();
+});
+
+// ── Command palette ──
+// Ctrl/Cmd+K or Ctrl/Cmd+Shift+P: fuzzy search over every tab, every collection and the
+// keyboard actions. Recently used items (paletteRecent, saved in state.json) come first.
+const PALETTE_RECENT_MAX = 20;
+const paletteOverlay = document.getElementById('palette-overlay');
+const paletteSearch = document.getElementById('palette-search');
+const paletteList = document.getElementById('palette-list');
+const palette = {
+  items: [],
+  matches: [],
+  highlighted: 0,
+};
+let paletteRecent = []; // item ids, most recent first
+
+// Runs against the active collection / tab at the moment it's picked
+function activeCi() {
+  return state.activeCollectionIdx >= 0 && state.collections[state.activeCollectionIdx] ? state.activeCollectionIdx : -1;
+}
+
+function withActiveCollection(fn) {
+  return () => {
+    const ci = activeCi();
+    if (ci >= 0) fn(ci);
+  };
+}
+
+function withCollectionOrFirst(fn) {
+  return () => {
+    const ci = activeCi() >= 0 ? activeCi() : 0;
+    if (state.collections[ci]) fn(ci);
+  };
+}
+
+function withActiveTab(fn) {
+  return () => {
+    const tab = getActiveTab();
+    if (tab) fn(tab);
+  };
+}
+
+function paletteActions() {
+  const actions = [
+    { id: 'new-session', label: 'New session', hint: bindingLabel('new-session'), run: withActiveCollection(ci => addSession(ci)) },
+    { id: 'new-shell', label: 'New shell', hint: bindingLabel('new-shell'), run: withActiveCollection(ci => addShellSession(ci)) },
+    { id: 'new-worktree', label: 'New session in worktree', run: withActiveCollection(addWorktreeSession) },
+    { id: 'new-collection', label: 'New collection…', hint: bindingLabel('new-collection'), run: () => addCollection(true) },
+    { id: 'close-session', label: 'Close session', hint: bindingLabel('close-session'), run: () => {
+      if (activeCi() >= 0 && state.activeTabIdx >= 0) closeSession(state.activeCollectionIdx, state.activeTabIdx);
+    } },
+    { id: 'restart-session', label: 'Restart session', run: withActiveTab(tab => restartTab(tab)) },
+    { id: 'toggle-grid', label: 'Toggle grid view', hint: bindingLabel('toggle-grid'), run: withActiveCollection(toggleGrid) },
+    { id: 'toggle-broadcast', label: 'Toggle broadcast input', hint: bindingLabel('toggle-broadcast'), run: withActiveCollection(toggleCollectionBroadcast) },
+    { id: 'prompts', label: 'Prompt library', hint: bindingLabel('prompt-library'), run: openPromptPicker },
+    { id: 'queue', label: 'Prompt queue…', run: withActiveTab(tab => { if (!isShellTab(tab)) openQueueEditor(tab); }) },
+    { id: 'diff', label: 'View changes…', run: withActiveTab(openDiffViewer) },
+    { id: 'find', label: 'Find in session', hint: bindingLabel('find'), run: () => openSearch(false) },
+    { id: 'find-all', label: 'Search all sessions', hint: bindingLabel('find-all'), run: () => openSearch(true) },
+    { id: 'history', label: 'Conversation history…', run: withActiveCollection(openHistory) },
+    { id: 'environment', label: 'Collection environment…', run: withActiveCollection(ci => openEnvEditor(state.collections[ci])) },
+    { id: 'journal', label: 'Journal', hint: bindingLabel('journal'), run: openJournalViewer },
+    { id: 'usage', label: 'Usage and cost', run: openUsageView },
+    { id: 'settings', label: 'Settings', run: openSettings },
+    { id: 'reset-scale', label: 'Reset UI scale', run: () => {
+      applyScale(100);
+      saveState();
+    } },
+    ...themes.map(t => ({
+      id: `theme:${t.id}`,
+      label: `Theme: ${t.name}`,
+      run: () => setAppTheme(t.id),
+    })),
+    ...sessionTemplates.map(t => ({
+      id: `template:${t.name}`,
+      label: `New from template: ${t.name}`,
+      hint: t.shortcut ? displayKeys(t.shortcut) : '',
+      run: withActiveCollection(ci => launchTemplate(ci, t)),
+    })),
+  ];
+  return actions.map(a => ({ ...a, id: `action:${a.id}`, kind: 'action', detail: '' }));
+}
+
+function paletteItems() {
+  const items = [];
+  state.collections.forEach((col, ci) => {
+    col.tabs.forEach((tab) => {
+      items.push({
+        id: `tab:${tab.uid || tab.id}`,
+        kind: 'tab',
+        label: tab.name,
+        detail: `${col.name} \u00B7 ${tab.cwd}`,
+        state: tab.state || 'idle',
+        run: () => {
+          const found = findTabById(tab.id);
+          if (!found) return;
+          found.col.expanded = true;
+          selectTab(found.ci, found.ti);
+          renderCollections();
+        },
+      });
+    });
+    items.push({
+      id: `collection:${col.path}:${col.name}`,
+      kind: 'collection',
+      label: col.name,
+      detail: col.path,
+      run: () => {
+        const current = state.collections.indexOf(col);
+        if (current < 0) return;
+        col.expanded = true;
+        if (col.tabs.length) selectTab(current, 0);
+        renderCollections();
+      },
+    });
+  });
+  return items.concat(paletteActions());
+}
+
+// Characters of query in order within text; rewards word starts and runs. null if no match.
+// Tries a plain left-to-right scan and one that jumps to word starts, keeping the better.
+function fuzzyMatch(query, text) {
+  const q = query.toLowerCase();
+  const t = text.toLowerCase();
+  const isWordStart = i => i === 0 || /[^a-z0-9]/.test(t[i - 1]);
+
+  function scan(preferWordStarts) {
+    const indices = [];
+    let score = 0;
+    let from = 0;
+    for (const ch of q) {
+      let i = t.indexOf(ch, from);
+      if (i < 0) return null;
+      if (preferWordStarts && !isWordStart(i)) {
+        for (let j = t.indexOf(ch, i + 1); j >= 0; j = t.indexOf(ch, j + 1)) {
+          if (isWordStart(j)) {
+            i = j;
+            break;
+          }
+        }
+      }
+      const run = indices.length && indices[indices.length - 1] === i - 1;
+      score += 1 + (isWordStart(i) ? 5 : 0) + (run ? 3 : 0) - Math.min(i - from, 5) * 0.1;
+      indices.push(i);
+      from = i + 1;
+    }
+    return { score, indices };
+  }
+
+  const plain = scan(false);
+  if (!plain) return null;
+  const words = scan(true);
+  return words && words.score > plain.score ? words : plain;
+}
+
+function highlightMatch(text, indices) {
+  if (!indices || !indices.length) return escHtml(text);
+  const set = new Set(indices);
+  return [...text].map((ch, i) => (set.has(i) ? `<b>${escHtml(ch)}</b>` : escHtml(ch))).join('');
+}
+
+function filterPalette() {
+  const query = paletteSearch.value.replace(/\s+/g, '');
+  const recentRank = id => {
+    const i = paletteRecent.indexOf(id);
+    return i < 0 ? Infinity : i;
+  };
+
+  if (!query) {
+    // Recent first (most recent on top), then everything else in sidebar order
+    palette.matches = palette.items
+      .map((item, order) => ({ item, order, rank: recentRank(item.id) }))
+      .sort((a, b) => a.rank - b.rank || a.order - b.order)
+      .map(({ item }) => ({ item, indices: null }));
+    return;
+  }
+
+  const scored = [];
+  for (const item of palette.items) {
+    const label = fuzzyMatch(query, item.label);
+    const detail = label ? null : fuzzyMatch(query, `${item.label} ${item.detail}`);
+    const match = label || detail;
+    if (!match) continue;
+    const rank = recentRank(item.id);
+    const boost = rank === Infinity ? 0 : (PALETTE_RECENT_MAX - rank) * 0.5;
+    scored.push({ item, indices: label ? label.indices : null, score: (label ? match.score : match.score / 2) + boost });
+  }
+  palette.matches = scored.sort((a, b) => b.score - a.score);
+}
+
+function renderPalette() {
+  palette.highlighted = Math.min(palette.highlighted, Math.max(0, palette.matches.length - 1));
+  paletteList.innerHTML = '';
+  if (palette.matches.length === 0) {
+    paletteList.innerHTML = '<p class="palette-empty">Nothing matches.</p>';
+    return;
+  }
+  palette.matches.forEach(({ item, indices }, i) => {
+    const el = document.createElement('div');
+    el.className = 'palette-item' + (i === palette.highlighted ? ' highlighted' : '');
+    const icon = item.kind === 'tab'
+      ? `<span class="palette-dot ${stateDotClass(item.state)}">\u2022</span>`
+      : `<span class="palette-kind">${item.kind === 'collection' ? '\u25A4' : '\u203A'}</span>`;
+    el.innerHTML = `
+      ${icon}
+      <span class="palette-label">${highlightMatch(item.label, indices)}</span>
+      <span class="palette-detail">${escHtml(item.detail)}</span>
+      ${paletteRecent.includes(item.id) ? '<span class="palette-recent">recent</span>' : ''}
+      ${item.hint ? `<span class="palette-hint">${escHtml(item.hint)}</span>` : ''}
+    `;
+    el.addEventListener('mousemove', () => {
+      if (palette.highlighted === i) return;
+      palette.highlighted = i;
+      paletteList.querySelectorAll('.palette-item').forEach((node, j) => node.classList.toggle('highlighted', j === i));
+    });
+    el.addEventListener('click', () => runPaletteItem(item));
+    paletteList.appendChild(el);
+  });
+  const current = paletteList.children[palette.highlighted];
+  if (current) current.scrollIntoView({ block: 'nearest' });
+}
+
+function openPalette() {
+  palette.items = paletteItems();
+  palette.highlighted = 0;
+  paletteSearch.value = '';
+  filterPalette();
+  renderPalette();
+  paletteOverlay.classList.remove('hidden');
+  paletteSearch.focus();
+}
+
+function closePalette() {
+  paletteOverlay.classList.add('hidden');
+}
+
+function runPaletteItem(item) {
+  paletteRecent = [item.id, ...paletteRecent.filter(id => id !== item.id)].slice(0, PALETTE_RECENT_MAX);
+  closePalette();
+  item.run();
+  // Actions that open an overlay take focus themselves; otherwise go back to the terminal
+  const tab = getActiveTab();
+  const inst = tab && terminalInstances.get(tab.id);
+  if (inst && document.activeElement === paletteSearch) inst.terminal.focus();
+  saveState();
+}
+
+paletteSearch.addEventListener('input', () => {
+  palette.highlighted = 0;
+  filterPalette();
+  renderPalette();
+});
+paletteSearch.addEventListener('keydown', (e) => {
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    e.preventDefault();
+    const n = palette.matches.length;
+    if (n === 0) return;
+    palette.highlighted = (palette.highlighted + (e.key === 'ArrowDown' ? 1 : n - 1)) % n;
+    renderPalette();
+  } else if (e.key === 'Enter') {
+    e.preventDefault();
+    const match = palette.matches[palette.highlighted];
+    if (match) runPaletteItem(match.item);
+  }
+});
+paletteOverlay.addEventListener('click', (e) => {
+  if (e.target === paletteOverlay) closePalette();
+});
+
+// ── UI Scale slider ──
 const scaleSlider = document.getElementById('scale-slider');
 const scaleValue = document.getElementById('scale-value');
 
@@ -1158,6 +3680,556 @@ scaleSlider.addEventListener('dblclick', () => {
   saveState();
 });
 
+// ── Themes ──
+// appTheme colours the app and every terminal; col.theme overrides it for one collection's
+// terminals, grid and sidebar group. Themes come from main (built-ins plus the JSON files
+// in userData/themes) and are re-read whenever Settings opens.
+const themeSelect = document.getElementById('theme-select');
+const themeErrors = document.getElementById('theme-errors');
+let themes = [];
+let defaultThemeId = 'dark';
+let appTheme = 'dark';
+
+function themeById(id) {
+  return themes.find(t => t.id === id) || themes.find(t => t.id === defaultThemeId) || null;
+}
+
+// The collection's theme id while that theme exists; a missing one (e.g. a deleted user
+// theme) means "same as the app" until it comes back
+function collectionThemeId(col) {
+  return col && col.theme && themes.some(t => t.id === col.theme) ? col.theme : null;
+}
+
+function collectionTheme(col) {
+  return themeById(collectionThemeId(col) || appTheme);
+}
+
+// A collection's own theme, or null when it follows the app theme
+function collectionOverrideTheme(col) {
+  return collectionThemeId(col) ? collectionTheme(col) : null;
+}
+
+// Sets the theme's CSS variables on el, or clears them (inherit from above) for null
+function setThemeVars(el, theme) {
+  const vars = theme ? theme.vars : (themes[0] && themes[0].vars) || {};
+  for (const [cssVar, value] of Object.entries(vars)) {
+    if (theme) el.style.setProperty(cssVar, value);
+    else el.style.removeProperty(cssVar);
+  }
+}
+
+function applyTerminalTheme(tab, col) {
+  const inst = terminalInstances.get(tab.id);
+  const theme = collectionTheme(col);
+  if (!inst || !theme) return;
+  inst.terminal.options.theme = theme.terminal;
+  setThemeVars(inst.element, collectionOverrideTheme(col));
+}
+
+// Restyles everything live; terminals keep their content
+function applyThemes() {
+  const theme = themeById(appTheme);
+  if (!theme) return;
+  setThemeVars(document.documentElement, theme);
+  for (const col of state.collections) {
+    for (const tab of col.tabs) applyTerminalTheme(tab, col);
+  }
+  if (state.gridCollection !== null) {
+    setThemeVars(terminalGrid, collectionOverrideTheme(state.collections[state.gridCollection]));
+  }
+  renderCollections();
+}
+
+function renderThemeSettings(errors) {
+  themeSelect.innerHTML = themes.map(t =>
+    `<option value="${escAttr(t.id)}">${escHtml(t.name)}${t.user ? ' (custom)' : ''}</option>`
+  ).join('');
+  themeSelect.value = themeById(appTheme) ? themeById(appTheme).id : '';
+  themeErrors.innerHTML = errors.length
+    ? `<div class="tool-config-errors-title">Theme problems</div>` + errors.map(err => `<div>${escHtml(err)}</div>`).join('')
+    : '';
+  themeErrors.classList.toggle('hidden', errors.length === 0);
+}
+
+async function loadThemes() {
+  const result = await manifold.loadThemes();
+  themes = result.themes;
+  defaultThemeId = result.defaultTheme;
+  renderThemeSettings(result.errors);
+  applyThemes();
+}
+
+function setCollectionTheme(ci, themeId) {
+  const col = state.collections[ci];
+  col.theme = themeId || null;
+  for (const tab of col.tabs) applyTerminalTheme(tab, col);
+  if (state.gridCollection === ci) setThemeVars(terminalGrid, collectionOverrideTheme(col));
+  renderCollections();
+  saveState();
+}
+
+function getThemeMenuItems(ci) {
+  const col = state.collections[ci];
+  return [
+    { label: 'Same as the app', checked: !collectionThemeId(col), action: () => setCollectionTheme(ci, null) },
+    { separator: true },
+    ...themes.map(t => ({ label: t.name, checked: col.theme === t.id, action: () => setCollectionTheme(ci, t.id) })),
+  ];
+}
+
+function setAppTheme(themeId) {
+  appTheme = themeId;
+  themeSelect.value = themeId;
+  applyThemes();
+  saveState();
+}
+
+themeSelect.addEventListener('change', () => setAppTheme(themeSelect.value));
+
+document.getElementById('themes-folder-btn').addEventListener('click', async () => {
+  const result = await manifold.openThemesFolder();
+  if (!result.success) alert(`Could not open the themes folder: ${result.error}`);
+});
+
+// ── Template settings ──
+const templateList = document.getElementById('template-list');
+const templateEditor = document.getElementById('template-editor');
+const tmplName = document.getElementById('tmpl-name');
+const tmplPrompt = document.getElementById('tmpl-prompt');
+const tmplTool = document.getElementById('tmpl-tool');
+const tmplCwd = document.getElementById('tmpl-cwd');
+const tmplEnv = document.getElementById('tmpl-env');
+const tmplAutoApprove = document.getElementById('tmpl-auto-approve');
+const tmplShortcut = document.getElementById('tmpl-shortcut');
+let editingTemplate = -1; // index in sessionTemplates; sessionTemplates.length for a new one
+
+function renderTemplateSettings() {
+  templateList.innerHTML = '';
+  sessionTemplates.forEach((t, i) => {
+    const row = document.createElement('div');
+    row.className = 'template-row';
+    row.innerHTML = `
+      <div class="settings-row-btn-text">
+        <span class="settings-label">${escHtml(t.name)}</span>
+        <span class="settings-desc">${escHtml([toolName(t.tool || '') || 'Collection tool', t.cwd || '.', t.shortcut].filter(Boolean).join(' \u00B7 '))}</span>
+      </div>
+      <button class="template-edit" title="Edit">\u270E</button>
+      <button class="template-delete" title="Delete">\u2715</button>
+    `;
+    row.querySelector('.template-edit').addEventListener('click', () => editTemplate(i));
+    row.querySelector('.template-delete').addEventListener('click', () => {
+      if (!confirm(`Delete template "${t.name}"?`)) return;
+      sessionTemplates.splice(i, 1);
+      renderTemplateSettings();
+      saveState();
+    });
+    templateList.appendChild(row);
+  });
+  renderKeybindingSettings();
+}
+
+function editTemplate(i) {
+  const t = sessionTemplates[i] || { name: '', prompt: '', tool: null, cwd: '', env: {}, autoApprove: true, shortcut: '' };
+  editingTemplate = i;
+  tmplName.value = t.name;
+  tmplPrompt.value = t.prompt || '';
+  tmplTool.innerHTML = '<option value="">Collection tool</option>' +
+    Object.keys(toolConfigs).map(k => `<option value="${escAttr(k)}">${escHtml(toolName(k))}</option>`).join('');
+  tmplTool.value = t.tool || '';
+  tmplCwd.value = t.cwd || '';
+  tmplEnv.value = Object.entries(t.env || {}).map(([k, v]) => `${k}=${v}`).join('\n');
+  tmplAutoApprove.checked = t.autoApprove !== false;
+  tmplShortcut.value = t.shortcut || '';
+  templateEditor.classList.remove('hidden');
+  tmplName.focus();
+}
+
+function parseEnvLines(text) {
+  const env = {};
+  for (const line of text.split('\n')) {
+    const m = /^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=(.*)$/.exec(line);
+    if (m) env[m[1]] = m[2].trim();
+  }
+  return env;
+}
+
+document.getElementById('template-add-btn').addEventListener('click', () => editTemplate(sessionTemplates.length));
+document.getElementById('tmpl-cancel-btn').addEventListener('click', () => templateEditor.classList.add('hidden'));
+document.getElementById('tmpl-save-btn').addEventListener('click', () => {
+  const name = tmplName.value.trim();
+  if (!name) {
+    tmplName.focus();
+    return;
+  }
+  sessionTemplates[editingTemplate] = {
+    name,
+    prompt: tmplPrompt.value.trim(),
+    tool: tmplTool.value || null,
+    cwd: tmplCwd.value.trim(),
+    env: parseEnvLines(tmplEnv.value),
+    autoApprove: tmplAutoApprove.checked,
+    shortcut: tmplShortcut.value || '',
+  };
+  templateEditor.classList.add('hidden');
+  renderTemplateSettings();
+  saveState();
+});
+
+// Record the pressed combination instead of typing it
+// (The document's shortcut handler skips shortcut-recorder fields, so Escape ends up here too.)
+tmplShortcut.addEventListener('keydown', (e) => {
+  if (e.key === 'Tab') return;
+  e.preventDefault();
+  e.stopPropagation();
+  if (e.key === 'Escape') {
+    tmplShortcut.blur();
+    return;
+  }
+  if (e.key === 'Backspace' || e.key === 'Delete') {
+    tmplShortcut.value = '';
+    return;
+  }
+  const combo = shortcutFromEvent(e);
+  if (combo) tmplShortcut.value = combo;
+});
+
+// ── Keybinding settings ──
+// Edits the bindings in place and saves the overrides to keybindings.json. Template
+// shortcuts are listed here too so conflicts with them show up, but live on the template.
+const keybindingList = document.getElementById('keybinding-list');
+const keybindingErrors = document.getElementById('keybinding-errors');
+
+// Comparable form of a binding: Cmd, Super and Meta all reach the Ctrl actions in-app
+function shortcutVariants(keys) {
+  const parts = keys.toLowerCase().split('+');
+  const key = parts.pop();
+  const aliases = { cmd: 'ctrl', command: 'ctrl', super: 'ctrl', meta: 'ctrl', cmdorctrl: 'ctrl', commandorcontrol: 'ctrl', control: 'ctrl', option: 'alt' };
+  const mods = [...new Set(parts.map(p => aliases[p] || p))].sort().join('+');
+  const names = key === '1-9' ? ['1', '2', '3', '4', '5', '6', '7', '8', '9'] : [key];
+  return names.map(k => `${mods}+${k}`);
+}
+
+function keybindingRows() {
+  const rows = [
+    { id: TOGGLE_ACTION, label: 'Show / hide window (system-wide)', global: true },
+    ...KEY_ACTIONS.map(a => ({ id: a.id, label: a.label })),
+  ].map(row => ({ ...row, keys: keybindings[row.id].keys, passThrough: keybindings[row.id].passThrough }));
+  sessionTemplates.forEach((t) => {
+    rows.push({ template: t, label: `Template: ${t.name}`, keys: t.shortcut ? [t.shortcut] : [] });
+  });
+  return rows;
+}
+
+// label → names of the other rows sharing one of its keys
+function findConflicts(rows) {
+  const owners = new Map();
+  for (const row of rows) {
+    for (const keys of row.keys) {
+      for (const variant of shortcutVariants(keys)) {
+        if (!owners.has(variant)) owners.set(variant, new Set());
+        owners.get(variant).add(row.label);
+      }
+    }
+  }
+  const conflicts = new Map();
+  for (const labels of owners.values()) {
+    if (labels.size < 2) continue;
+    for (const label of labels) {
+      if (!conflicts.has(label)) conflicts.set(label, new Set());
+      for (const other of labels) if (other !== label) conflicts.get(label).add(other);
+    }
+  }
+  return conflicts;
+}
+
+function renderKeybindingSettings() {
+  updateHeaderHints();
+  if (!keybindings[TOGGLE_ACTION]) return; // not loaded yet
+
+  const problems = [keybindingFileError, ...toggleErrors].filter(Boolean);
+  keybindingErrors.innerHTML = problems.length
+    ? `<div class="tool-config-errors-title">Keybinding problems</div>` + problems.map(p => `<div>${escHtml(p)}</div>`).join('')
+    : '';
+  keybindingErrors.classList.toggle('hidden', problems.length === 0);
+
+  const rows = keybindingRows();
+  const conflicts = findConflicts(rows);
+  keybindingList.innerHTML = '';
+  for (const row of rows) {
+    const clash = conflicts.get(row.label);
+    const el = document.createElement('div');
+    el.className = 'template-row keybinding-row' + (clash ? ' conflict' : '');
+    const desc = clash ? `Also bound to ${[...clash].join(', ')}` : (row.keys.length ? '' : 'Not bound');
+    el.innerHTML = `
+      <div class="settings-row-btn-text">
+        <span class="settings-label">${escHtml(row.label)}</span>
+        <span class="settings-desc">${escHtml(desc)}</span>
+      </div>
+      <div class="keybinding-keys">
+        ${row.keys.map((keys, i) => `<span class="keybinding-chip">${escHtml(displayKeys(keys))}<button class="keybinding-remove" data-index="${i}" title="Remove">\u2715</button></span>`).join('')}
+        <button class="keybinding-add shortcut-recorder" title="Click, then press the new keys">+</button>
+      </div>
+      ${row.id && !row.global ? `<label class="template-check" title="While a terminal has focus, send these keys to it instead"><input type="checkbox" ${row.passThrough ? 'checked' : ''}> Terminal</label>` : ''}
+      ${row.id ? `<button class="template-edit keybinding-reset" title="Reset to default">\u21BA</button>` : ''}
+    `;
+    if (clash) el.title = desc;
+
+    el.querySelectorAll('.keybinding-remove').forEach((btn) => {
+      btn.addEventListener('click', () => setRowKeys(row, row.keys.filter((_, i) => i !== Number(btn.dataset.index))));
+    });
+
+    const add = el.querySelector('.keybinding-add');
+    add.addEventListener('click', () => {
+      add.textContent = 'Press keys\u2026';
+      add.focus();
+    });
+    add.addEventListener('blur', () => { add.textContent = '+'; });
+    add.addEventListener('keydown', (e) => {
+      if (add.textContent === '+' || e.key === 'Tab') return;
+      e.preventDefault();
+      e.stopPropagation();
+      if (e.key === 'Escape') {
+        add.blur();
+        return;
+      }
+      let combo = shortcutFromEvent(e, row.global);
+      if (!combo) return;
+      if (row.id === 'switch-tab') combo = combo.replace(/\+[1-9]$/, '+1-9');
+      // A template has one shortcut; recording replaces it
+      const keys = row.template ? [combo] : [...row.keys.filter(k => k !== combo), combo];
+      setRowKeys(row, keys);
+    });
+
+    const passThrough = el.querySelector('.template-check input');
+    if (passThrough) {
+      passThrough.addEventListener('change', () => {
+        keybindings[row.id].passThrough = passThrough.checked;
+        commitKeybindings();
+      });
+    }
+
+    const reset = el.querySelector('.keybinding-reset');
+    if (reset) {
+      reset.addEventListener('click', () => {
+        keybindings[row.id] = { keys: defaultKeys(row.id).slice(), passThrough: false };
+        commitKeybindings();
+      });
+    }
+
+    keybindingList.appendChild(el);
+  }
+}
+
+function setRowKeys(row, keys) {
+  if (row.template) {
+    row.template.shortcut = keys[0] || '';
+    renderTemplateSettings();
+    saveState();
+    return;
+  }
+  keybindings[row.id].keys = keys;
+  commitKeybindings();
+}
+
+async function commitKeybindings() {
+  // Saving rewrites the file, so don't silently replace one the user broke by hand
+  if (keybindingFileError && !confirm(`${keybindingFileError}\n\nReplace keybindings.json with the bindings shown here?`)) {
+    renderKeybindingSettings();
+    return;
+  }
+  keybindingFileError = null;
+  await saveKeybindings();
+  renderKeybindingSettings();
+}
+
+document.getElementById('keybindings-file-btn').addEventListener('click', async () => {
+  const result = await manifold.openKeybindingsFile();
+  if (!result.success) alert(`Could not open keybindings.json: ${result.error}`);
+});
+
+// ── Schedule settings ──
+// Schedules are saved by main (it runs them); this list is a view onto schedules.json.
+const scheduleList = document.getElementById('schedule-list');
+const scheduleEditor = document.getElementById('schedule-editor');
+const schedName = document.getElementById('sched-name');
+const schedCollection = document.getElementById('sched-collection');
+const schedTool = document.getElementById('sched-tool');
+const schedCron = document.getElementById('sched-cron');
+const schedNext = document.getElementById('sched-next');
+const schedPrompt = document.getElementById('sched-prompt');
+const schedCloseIdle = document.getElementById('sched-close-idle');
+const schedEnabled = document.getElementById('sched-enabled');
+let schedules = [];
+let editingSchedule = -1; // index in schedules; schedules.length for a new one
+
+function formatWhen(ms) {
+  return new Date(ms).toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
+function scheduleStatus(s) {
+  if (s.error) return `<span class="schedule-error">${escHtml(s.error)}</span>`;
+  if (s.missed) return `<span class="schedule-missed">Missed ${s.missed.count}× while closed (last ${escHtml(formatAgo(s.missed.last))})</span>`;
+  const parts = [];
+  if (!s.enabled) parts.push('Off');
+  else if (s.next) parts.push(`Next ${formatWhen(s.next)}`);
+  if (s.lastRun) parts.push(`last ${s.lastRun.status} ${formatAgo(s.lastRun.at)}`);
+  return escHtml(parts.join(' \u00B7 '));
+}
+
+function renderScheduleSettings() {
+  scheduleList.innerHTML = '';
+  schedules.forEach((s, i) => {
+    const row = document.createElement('div');
+    row.className = 'template-row';
+    row.innerHTML = `
+      <div class="settings-row-btn-text">
+        <span class="settings-label">${escHtml(s.name)}</span>
+        <span class="settings-desc">${escHtml(`${s.cron} \u00B7 ${s.collectionName}`)}</span>
+        <span class="settings-desc">${scheduleStatus(s)}</span>
+      </div>
+      <button class="schedule-run" title="Run now">\u25B6</button>
+      <button class="template-edit" title="Edit">\u270E</button>
+      <button class="template-delete" title="Delete">\u2715</button>
+    `;
+    row.querySelector('.schedule-run').addEventListener('click', () => manifold.runScheduleNow(s.id));
+    row.querySelector('.template-edit').addEventListener('click', () => editSchedule(i));
+    row.querySelector('.template-delete').addEventListener('click', () => {
+      if (!confirm(`Delete schedule "${s.name}"?`)) return;
+      scheduleEditor.classList.add('hidden');
+      saveSchedules(schedules.filter(x => x !== s));
+    });
+    scheduleList.appendChild(row);
+  });
+}
+
+async function refreshSchedules() {
+  schedules = await manifold.loadSchedules();
+  renderScheduleSettings();
+}
+
+async function saveSchedules(list) {
+  const result = await manifold.saveSchedules(list);
+  if (!result.success) return result;
+  schedules = result.schedules;
+  renderScheduleSettings();
+  return result;
+}
+
+async function previewSchedule() {
+  const { next, error } = await manifold.previewSchedule(schedCron.value);
+  schedNext.classList.toggle('schedule-error', !!error);
+  schedNext.textContent = error || (next ? `Next run: ${formatWhen(next)}` : 'Never runs');
+}
+
+function editSchedule(i) {
+  const s = schedules[i] || { name: '', cron: '0 9 * * 1-5', collectionPath: '', prompt: '', tool: null, closeWhenIdle: false, enabled: true };
+  editingSchedule = i;
+  schedName.value = s.name;
+
+  // A schedule's collection may have been deleted since; keep it selectable
+  const options = state.collections.map(c => ({ path: c.path, name: c.name }));
+  if (s.collectionPath && !options.some(o => o.path === s.collectionPath)) {
+    options.push({ path: s.collectionPath, name: s.collectionName });
+  }
+  schedCollection.innerHTML = options.map(o => `<option value="${escAttr(o.path)}">${escHtml(o.name)}</option>`).join('');
+  const active = getActiveCollection();
+  schedCollection.value = s.collectionPath || (active ? active.path : '');
+
+  schedTool.innerHTML = '<option value="">Collection tool</option>' +
+    Object.keys(toolConfigs).map(k => `<option value="${escAttr(k)}">${escHtml(toolName(k))}</option>`).join('');
+  schedTool.value = s.tool || '';
+  schedCron.value = s.cron;
+  schedPrompt.value = s.prompt || '';
+  schedCloseIdle.checked = !!s.closeWhenIdle;
+  schedEnabled.checked = s.enabled !== false;
+  scheduleEditor.classList.remove('hidden');
+  previewSchedule();
+  schedName.focus();
+}
+
+schedCron.addEventListener('input', previewSchedule);
+
+document.getElementById('schedule-add-btn').addEventListener('click', () => editSchedule(schedules.length));
+document.getElementById('sched-cancel-btn').addEventListener('click', () => scheduleEditor.classList.add('hidden'));
+document.getElementById('sched-save-btn').addEventListener('click', async () => {
+  const name = schedName.value.trim();
+  if (!name) {
+    schedName.focus();
+    return;
+  }
+  const option = schedCollection.selectedOptions[0];
+  const list = schedules.slice();
+  list[editingSchedule] = {
+    ...schedules[editingSchedule],
+    name,
+    collectionPath: schedCollection.value,
+    collectionName: option ? option.textContent : '',
+    tool: schedTool.value || null,
+    cron: schedCron.value.trim(),
+    prompt: schedPrompt.value.trim(),
+    closeWhenIdle: schedCloseIdle.checked,
+    enabled: schedEnabled.checked,
+  };
+  const result = await saveSchedules(list);
+  if (!result.success) {
+    schedNext.classList.add('schedule-error');
+    schedNext.textContent = result.error;
+    return;
+  }
+  scheduleEditor.classList.add('hidden');
+});
+
+manifold.onSchedulesChanged((list) => {
+  schedules = list;
+  renderScheduleSettings();
+});
+
+// ── Control API settings ──
+const controlApiInput = document.getElementById('control-api-enabled');
+const controlApiDesc = document.getElementById('control-api-desc');
+const CONTROL_API_DESC = controlApiDesc.textContent;
+let controlApiEnabled = false;
+
+async function setControlApi(enabled) {
+  const result = await manifold.setControlApi(enabled);
+  controlApiEnabled = enabled && result.success;
+  controlApiInput.checked = controlApiEnabled;
+  if (!result.success) controlApiDesc.textContent = `Could not start: ${result.error}`;
+  else if (result.info) controlApiDesc.textContent = `Listening on ${result.info.url} \u2014 port and token in ${result.info.file}`;
+  else controlApiDesc.textContent = CONTROL_API_DESC;
+}
+
+controlApiInput.addEventListener('change', async () => {
+  await setControlApi(controlApiInput.checked);
+  saveState();
+});
+
+// ── Notification settings ──
+const notifyEnabledInput = document.getElementById('notify-enabled');
+const notifyUnfocusedInput = document.getElementById('notify-unfocused');
+const notifyQuietStartInput = document.getElementById('notify-quiet-start');
+const notifyQuietEndInput = document.getElementById('notify-quiet-end');
+
+function applyNotifySettings(saved) {
+  Object.assign(notifySettings, saved || {});
+  notifyEnabledInput.checked = notifySettings.enabled;
+  notifyUnfocusedInput.checked = notifySettings.onlyUnfocused;
+  notifyQuietStartInput.value = notifySettings.quietStart;
+  notifyQuietEndInput.value = notifySettings.quietEnd;
+}
+
+function readNotifySettings() {
+  notifySettings.enabled = notifyEnabledInput.checked;
+  notifySettings.onlyUnfocused = notifyUnfocusedInput.checked;
+  notifySettings.quietStart = notifyQuietStartInput.value;
+  notifySettings.quietEnd = notifyQuietEndInput.value;
+  saveState();
+}
+
+[notifyEnabledInput, notifyUnfocusedInput, notifyQuietStartInput, notifyQuietEndInput].forEach((el) => {
+  el.addEventListener('change', readNotifySettings);
+});
+
 document.getElementById('nuke-btn').addEventListener('click', async () => {
   if (!confirm('Factory reset — clear all saved state and start fresh?')) return;
   if (!confirm('Last chance. Reset everything?')) return;
@@ -1174,8 +4246,11 @@ function escAttr(str) {
 }
 
 // ── Tool selector ──
+// Resolves with the chosen tool key, or null if a cancellable selector was dismissed.
 
-async function showToolSelector() {
+let toolSelectorCancel = null;
+
+async function showToolSelector(opts = {}) {
   return new Promise(async (resolve) => {
     const overlay = document.getElementById('tool-selector-overlay');
     const cardsContainer = document.getElementById('tool-cards');
@@ -1183,15 +4258,46 @@ async function showToolSelector() {
     const installText = document.getElementById('tool-install-text');
     const installError = document.getElementById('tool-install-error');
 
-    const [installed, configs] = await Promise.all([
+    document.getElementById('tool-selector-title').textContent = opts.title || 'SELECT YOUR CLI TOOL';
+    document.getElementById('tool-selector-desc').textContent =
+      opts.desc || 'Choose the default AI coding assistant for new collections.';
+
+    toolSelectorCancel = null;
+    overlay.onclick = null;
+    if (opts.cancellable) {
+      toolSelectorCancel = () => {
+        toolSelectorCancel = null;
+        overlay.onclick = null;
+        overlay.classList.add('hidden');
+        resolve(null);
+      };
+      overlay.onclick = (e) => {
+        if (e.target === overlay) toolSelectorCancel();
+      };
+    }
+
+    const configErrors = document.getElementById('tool-config-errors');
+
+    // Fetch configs first: this re-reads tools.json before detection runs
+    const configs = await manifold.getToolConfigs();
+    toolConfigs = configs;
+    const [installed, errors] = await Promise.all([
       manifold.detectTools(),
-      manifold.getToolConfigs(),
+      manifold.getToolConfigErrors(),
     ]);
 
     cardsContainer.innerHTML = '';
     installStatus.classList.add('hidden');
     installError.classList.add('hidden');
 
+    if (errors.length > 0) {
+      configErrors.innerHTML = `<div class="tool-config-errors-title">tools.json problems</div>` +
+        errors.map(err => `<div>${escHtml(err)}</div>`).join('');
+      configErrors.classList.remove('hidden');
+    } else {
+      configErrors.classList.add('hidden');
+    }
+
     for (const [key, config] of Object.entries(configs)) {
       const card = document.createElement('div');
       card.className = 'tool-card';
@@ -1199,7 +4305,7 @@ async function showToolSelector() {
       card.innerHTML = `
         <div class="tool-card-info">
           <span class="tool-card-name">${escHtml(config.name)}</span>
-          <span class="tool-card-binary">${escHtml(config.binary)}</span>
+          <span class="tool-card-binary">${escHtml(config.binary)}${config.custom ? ' &middot; tools.json' : ''}</span>
         </div>
         <span class="tool-card-status ${installed[key] ? '' : 'not-installed'}">
           ${installed[key] ? 'installed' : 'not installed'}
@@ -1234,13 +4340,13 @@ async function showToolSelector() {
           }
         }
 
-        // Tool is installed — select and close
-        currentTool = key;
-        await manifold.setSelectedTool(key);
+        // Tool is installed — close and hand the choice back to the caller
+        toolSelectorCancel = null;
+        overlay.onclick = null;
         overlay.classList.add('hidden');
         // Re-enable cards for next time
         cardsContainer.querySelectorAll('.tool-card').forEach(c => c.style.pointerEvents = '');
-        resolve();
+        resolve(key);
       });
 
       cardsContainer.appendChild(card);
@@ -1254,17 +4360,19 @@ async function showToolSelector() {
 
 async function initWorkspace(savedData) {
   const loaded = await restoreFromState(savedData);
+  workspaceRestored = true;
 
   if (!loaded) {
-    const gTabId = genTabId();
-    state.collections.push({
+    const col = {
       name: 'General',
       path: homeDir,
+      tool: currentTool,
       expanded: true,
       gridded: false,
-      tabs: [{ id: gTabId, name: 'Session 1', cwd: homeDir }],
-    });
-    createTerminalInstance(gTabId, homeDir, null, 'Session 1', 'General');
+      tabs: [{ id: genTabId(), name: 'Session 1', cwd: homeDir, tool: null }],
+    };
+    state.collections.push(col);
+    createTerminalInstance(col.tabs[0], col);
   }
 
   if (loaded) {
@@ -1276,7 +4384,10 @@ async function initWorkspace(savedData) {
     selectTab(0, 0);
   }
   renderCollections();
+  refreshGitStatus();
   saveState();
+
+  for (const request of await manifold.cliReady()) openFromCommandLine(request);
 }
 
 async function restoreFromState(data) {
@@ -1286,8 +4397,16 @@ async function restoreFromState(data) {
     const colData = data.collections[ci];
 
     const col = {
+      uid: colData.uid || genTabUid(),
       name: colData.name || `Collection ${ci + 1}`,
       path: colData.path || homeDir || '/',
+      // Collections saved before per-collection tools inherit the old global choice
+      tool: colData.tool || currentTool,
+      env: Array.isArray(colData.env) ? colData.env.filter(v => v && typeof v.key === 'string') : [],
+      envFiles: !!colData.envFiles,
+      theme: typeof colData.theme === 'string' ? colData.theme : null,
+      autoRestart: !!colData.autoRestart,
+      muted: !!colData.muted,
       expanded: colData.expanded !== false,
       gridded: colData.gridded || false,
       tabs: [],
@@ -1300,13 +4419,28 @@ async function restoreFromState(data) {
     for (const tabData of tabs) {
       const tabId = genTabId();
       const cwd = tabData.cwd || col.path;
-      col.tabs.push({
+      const tab = {
         id: tabId,
+        uid: tabData.uid || genTabUid(),
         name: tabData.name || 'Session',
         cwd,
-        conversationId: tabData.conversationId || null,
-      });
-      createTerminalInstance(tabId, cwd, tabData.conversationId || null, tabData.name || 'Session', col.name);
+        tool: tabData.tool || null,
+        kind: tabData.kind === 'shell' ? 'shell' : 'agent',
+        conversationId: tabData.kind === 'shell' ? null : (tabData.conversationId || null),
+        queue: Array.isArray(tabData.queue) ? tabData.queue.filter(q => typeof q === 'string') : [],
+        queuePaused: !!tabData.queuePaused,
+        env: tabData.env || null,
+        autoApprove: tabData.autoApprove !== false,
+      };
+      if (tabData.worktree) {
+        const result = await manifold.ensureWorktree(tabData.worktree).catch(() => ({ success: false }));
+        // Worktree is gone for good (e.g. branch deleted) — fall back to the collection folder
+        if (result.success) tab.worktree = tabData.worktree;
+        else if (tab.cwd === tabData.worktree.path) tab.cwd = col.path;
+      }
+      col.tabs.push(tab);
+      const restored = tabData.uid ? await manifold.loadScrollback(tabData.uid).catch(() => null) : null;
+      createTerminalInstance(tab, col, null, restored);
     }
 
     state.collections.push(col);
@@ -1325,24 +4459,28 @@ async function restoreFromState(data) {
   try {
     homeDir = await manifold.getHomeDir() || '/';
     const platform = await manifold.getPlatform();
-    const isMac = platform === 'darwin';
     document.body.classList.add(`platform-${platform}`);
 
-    const mod = isMac ? 'Cmd' : 'Ctrl';
-    const toggle = isMac ? 'Cmd+Shift+C' : 'Super+C';
-    document.getElementById('header-hints').textContent =
-      `${toggle} toggle | ${mod}+T session | ${mod}+Y collection | ${mod}+W close | ${mod}+G grid | ${mod}+J journal | ${mod}+Shift+G plan | Alt+1-9 switch`;
-
+    toolConfigs = await manifold.getToolConfigs();
     const savedState = await manifold.loadState();
 
     // Apply saved UI scale early
     if (savedState && savedState.uiScale) {
       applyScale(savedState.uiScale);
     }
+    if (savedState && typeof savedState.theme === 'string') appTheme = savedState.theme;
+    await loadThemes();
+    applyNotifySettings(savedState && savedState.notifications);
+    if (savedState && Array.isArray(savedState.templates)) sessionTemplates = savedState.templates;
+    renderTemplateSettings();
+    await loadKeybindings();
+    refreshSchedules();
+    if (savedState && savedState.controlApi) setControlApi(true);
+    if (savedState && Array.isArray(savedState.paletteRecent)) paletteRecent = savedState.paletteRecent;
 
     if (savedState && savedState.selectedTool) {
-      // Returning user — restore tool and proceed
-      currentTool = savedState.selectedTool;
+      // Returning user — restore tool and proceed (fall back if a tools.json entry was removed)
+      currentTool = toolConfigs[savedState.selectedTool] ? savedState.selectedTool : 'claude';
       await manifold.setSelectedTool(currentTool);
       await initWorkspace(savedState);
     } else if (savedState && savedState.collections && savedState.collections.length > 0) {
@@ -1352,7 +4490,8 @@ async function restoreFromState(data) {
       await initWorkspace(savedState);
     } else {
       // First launch — show tool selector, then init workspace
-      await showToolSelector();
+      currentTool = await showToolSelector();
+      await manifold.setSelectedTool(currentTool);
       await initWorkspace(null);
     }
   } catch (err) {
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createDetector, STATES } = require('../agent-state');
+
+// Feed output at a controlled clock, then read the state at that clock
+function detector(t, toolKey) {
+  let now = 1000000;
+  t.mock.method(Date, 'now', () => now);
+  const d = createDetector(toolKey);
+  return {
+    feed(data) { d.feed(data); },
+    wait(ms) { now += ms; },
+    input() { d.noteInput(); },
+    exit(code, signal = null) { d.noteExit(code, signal); },
+    get state() { return d.getState(); },
+  };
+}
+
+test('every state it returns is a known one', () => {
+  assert.deepEqual(STATES, ['working', 'waiting-permission', 'waiting-input', 'idle', 'errored', 'exited']);
+});
+
+test('claude: busy marker means working, but only while it keeps being redrawn', (t) => {
+  const d = detector(t, 'claude');
+  d.feed('\x1b[2m✻ Thinking… (esc to interrupt)\x1b[0m');
+  assert.equal(d.state, 'working');
+  d.wait(2000);
+  assert.equal(d.state, 'idle');
+});
+
+test('claude: permission prompt wins over the busy marker', (t) => {
+  const d = detector(t, 'claude');
+  d.feed('(esc to interrupt)');
+  d.feed('Do you want to make this edit to main.js?\r\n❯ 1. Yes\r\n  2. No');
+  assert.equal(d.state, 'waiting-permission');
+});
+
+test('claude: input prompt means waiting for input', (t) => {
+  const d = detector(t, 'claude');
+  d.feed('│ > \x1b[7m \x1b[0m\r\n  ? for shortcuts');
+  d.wait(2000);
+  assert.equal(d.state, 'waiting-input');
+});
+
+test('claude: an error banner is errored until the user types', (t) => {
+  const d = detector(t, 'claude');
+  d.feed('API Error: 529 overloaded');
+  d.wait(2000);
+  assert.equal(d.state, 'errored');
+  d.input();
+  assert.equal(d.state, 'idle');
+});
+
+test('typing clears an answered permission prompt', (t) => {
+  const d = detector(t, 'claude');
+  d.feed('Do you want to proceed?');
+  assert.equal(d.state, 'waiting-permission');
+  d.input();
+  assert.equal(d.state, 'idle');
+});
+
+test('codex and gemini use their own patterns', (t) => {
+  const codex = detector(t, 'codex');
+  codex.feed('Allow command? [y/n]');
+  assert.equal(codex.state, 'waiting-permission');
+
+  const gemini = detector(t, 'gemini');
+  gemini.feed('Type your message or @path/to/file');
+  assert.equal(gemini.state, 'waiting-input');
+  gemini.feed('⠋ Reading files (esc to cancel, 3s)');
+  assert.equal(gemini.state, 'working');
+});
+
+test('tools without patterns fall back to output rate', (t) => {
+  const d = detector(t, null);
+  d.feed('x'.repeat(100));
+  assert.equal(d.state, 'idle');
+  d.feed('x'.repeat(600));
+  assert.equal(d.state, 'working');
+  d.wait(2000);
+  assert.equal(d.state, 'idle');
+});
+
+test('exit status decides between exited and errored', (t) => {
+  const clean = detector(t, 'claude');
+  clean.feed('(esc to interrupt)');
+  clean.exit(0);
+  assert.equal(clean.state, 'exited');
+
+  const failed = detector(t, 'claude');
+  failed.exit(1);
+  assert.equal(failed.state, 'errored');
+
+  const killed = detector(t, 'claude');
+  killed.exit(0, 9);
+  assert.equal(killed.state, 'errored');
+});
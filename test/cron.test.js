@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const cron = require('../cron');
+
+// Schedules run in local time, so are the expectations
+const at = (y, mo, d, h = 0, mi = 0) => new Date(y, mo - 1, d, h, mi).getTime();
+const nextAfter = (expr, after) => cron.next(cron.parse(expr), after);
+
+test('parse rejects malformed expressions', () => {
+  assert.throws(() => cron.parse('* * * *'), /Expected 5 fields/);
+  assert.throws(() => cron.parse('60 * * * *'), /minute out of range/);
+  assert.throws(() => cron.parse('*/0 * * * *'), /Invalid step/);
+  assert.throws(() => cron.parse('0 0 5-1 * *'), /Invalid range/);
+  assert.throws(() => cron.parse('0 0 * foo *'), /Invalid month/);
+  assert.throws(() => cron.parse(''), /Expected 5 fields/);
+});
+
+test('parse expands lists, ranges, steps and names', () => {
+  const c = cron.parse('5/20 9-11 * jan,MAR mon-fri');
+  assert.deepEqual([...c.minute.values], [5, 25, 45]);
+  assert.deepEqual([...c.hour.values], [9, 10, 11]);
+  assert.deepEqual([...c.month.values], [1, 3]);
+  assert.deepEqual([...c.dow.values], [1, 2, 3, 4, 5]);
+});
+
+test('7 is Sunday as well as 0', () => {
+  assert.ok(cron.parse('0 0 * * 7').dow.values.has(0));
+});
+
+test('next is strictly after the given time', () => {
+  assert.equal(nextAfter('*/15 * * * *', at(2026, 3, 4, 10, 7)), at(2026, 3, 4, 10, 15));
+  assert.equal(nextAfter('*/15 * * * *', at(2026, 3, 4, 10, 15)), at(2026, 3, 4, 10, 30));
+});
+
+test('shorthands', () => {
+  assert.equal(nextAfter('@daily', at(2026, 3, 4, 10)), at(2026, 3, 5));
+  assert.equal(nextAfter('@monthly', at(2026, 12, 15)), at(2027, 1, 1));
+  assert.equal(nextAfter('@weekly', at(2026, 3, 4)), at(2026, 3, 8)); // a Wednesday → Sunday
+});
+
+test('either day field matches when both are restricted', () => {
+  // 1st and 15th, plus every Monday
+  const runs = cron.between(cron.parse('0 0 1,15 * 1'), at(2026, 1, 1), at(2026, 1, 31));
+  assert.deepEqual(runs, [at(2026, 1, 5), at(2026, 1, 12), at(2026, 1, 15), at(2026, 1, 19), at(2026, 1, 26)]);
+});
+
+test('a day field starting with * restricts together with the other one', () => {
+  // Odd days of the month that are Mondays
+  const runs = cron.between(cron.parse('0 0 */2 * 1'), at(2026, 1, 1), at(2026, 1, 31));
+  assert.deepEqual(runs, [at(2026, 1, 5), at(2026, 1, 19)]);
+  // Plain * leaves the other field in charge
+  assert.equal(nextAfter('0 0 13 * *', at(2026, 1, 1)), at(2026, 1, 13));
+  assert.equal(nextAfter('0 0 * * 1', at(2026, 1, 1)), at(2026, 1, 5));
+});
+
+test('next returns null for dates that never come', () => {
+  assert.equal(nextAfter('0 0 30 2 *', at(2026, 1, 1)), null);
+});
+
+test('between stops at the cap', () => {
+  assert.equal(cron.between(cron.parse('* * * * *'), at(2026, 1, 1), at(2026, 1, 2), 10).length, 10);
+});
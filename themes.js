@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+
+// ── Themes ──
+// A theme colours the app chrome (the CSS variables in styles.css :root) and the xterm
+// palette. User themes are JSON files in userData/themes:
+//   { "name": "Dusk", "extends": "dark", "ui": { "accent": "#7aa2f7" }, "terminal": { ... } }
+// Colours a theme leaves out come from the built-in theme it extends (its `type`'s
+// default, dark or light, when `extends` is absent).
+
+// ui key → CSS variable
+const UI_VARS = {
+  background: '--bg',
+  panel: '--bg-panel',
+  raised: '--bg-raised',
+  deep: '--bg-deep',
+  border: '--border',
+  borderSoft: '--border-soft',
+  borderStrong: '--border-strong',
+  text: '--text',
+  textSoft: '--text-soft',
+  textMuted: '--text-muted',
+  textSubtle: '--text-subtle',
+  textFaint: '--text-faint',
+  textDim: '--text-dim',
+  accent: '--accent',
+  accentBright: '--accent-bright',
+  red: '--red',
+  danger: '--danger',
+  yellow: '--yellow',
+  yellowBright: '--yellow-bright',
+  green: '--green',
+  blue: '--blue',
+  cyan: '--cyan',
+};
+
+const TERMINAL_KEYS = [
+  'background', 'foreground', 'cursor', 'cursorAccent', 'selectionBackground',
+  'black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white',
+  'brightBlack', 'brightRed', 'brightGreen', 'brightYellow', 'brightBlue', 'brightMagenta', 'brightCyan', 'brightWhite',
+];
+
+const BUILTIN = [
+  {
+    id: 'dark',
+    name: 'Manifold Dark',
+    type: 'dark',
+    ui: {
+      background: '#1a1a1a', panel: '#141414', raised: '#1e1e1e', deep: '#111',
+      border: '#2a2a2a', borderSoft: '#222', borderStrong: '#333',
+      text: '#d0d0d0', textSoft: '#b0b0b0', textMuted: '#888', textSubtle: '#666', textFaint: '#555', textDim: '#444',
+      accent: '#D97757', accentBright: '#e88868',
+      red: '#cc0000', danger: '#e74c3c', yellow: '#c4a000', yellowBright: '#fce94f', green: '#4e9a06', blue: '#3465a4', cyan: '#06989a',
+    },
+    terminal: {
+      background: '#1a1a1a', foreground: '#d0d0d0', cursor: '#D97757',
+      black: '#2e3436', red: '#cc0000', green: '#4e9a06', yellow: '#c4a000',
+      blue: '#3465a4', magenta: '#75507b', cyan: '#06989a', white: '#d3d7cf',
+      brightBlack: '#555753', brightRed: '#ef2929', brightGreen: '#8ae234', brightYellow: '#fce94f',
+      brightBlue: '#729fcf', brightMagenta: '#ad7fa8', brightCyan: '#34e2e2', brightWhite: '#eeeeec',
+    },
+  },
+  {
+    id: 'midnight',
+    name: 'Midnight',
+    type: 'dark',
+    ui: {
+      background: '#10141f', panel: '#0b0e17', raised: '#151a28', deep: '#07090f',
+      border: '#222a3b', borderSoft: '#1a2030', borderStrong: '#2c3548',
+      text: '#c8d2e4', textSoft: '#a6b1c6', textMuted: '#7b869c', textSubtle: '#5f6a80', textFaint: '#4c566b', textDim: '#3b4457',
+      accent: '#6aa7e8', accentBright: '#8cbdf0',
+      red: '#e06c75', danger: '#ef596f', yellow: '#d8b25a', yellowBright: '#f2d47a', green: '#8bc573', blue: '#5a8fd8', cyan: '#56b6c2',
+    },
+    terminal: {
+      background: '#10141f', foreground: '#c8d2e4', cursor: '#6aa7e8',
+      black: '#1b2130', red: '#e06c75', green: '#8bc573', yellow: '#d8b25a',
+      blue: '#5a8fd8', magenta: '#b58bd8', cyan: '#56b6c2', white: '#c8d2e4',
+      brightBlack: '#4c566b', brightRed: '#f08a92', brightGreen: '#a6da8e', brightYellow: '#f2d47a',
+      brightBlue: '#8cbdf0', brightMagenta: '#cfa8ec', brightCyan: '#7fd3dd', brightWhite: '#eef2f8',
+    },
+  },
+  {
+    id: 'solarized-dark',
+    name: 'Solarized Dark',
+    type: 'dark',
+    ui: {
+      background: '#002b36', panel: '#00232d', raised: '#073642', deep: '#001b23',
+      border: '#0f3f4b', borderSoft: '#08333f', borderStrong: '#1c4b57',
+      text: '#93a1a1', textSoft: '#839496', textMuted: '#6c8389', textSubtle: '#586e75', textFaint: '#4a6169', textDim: '#37525a',
+      accent: '#cb4b16', accentBright: '#e0693a',
+      red: '#dc322f', danger: '#dc322f', yellow: '#b58900', yellowBright: '#d8a50d', green: '#859900', blue: '#268bd2', cyan: '#2aa198',
+    },
+    terminal: {
+      background: '#002b36', foreground: '#839496', cursor: '#93a1a1',
+      black: '#073642', red: '#dc322f', green: '#859900', yellow: '#b58900',
+      blue: '#268bd2', magenta: '#d33682', cyan: '#2aa198', white: '#eee8d5',
+      brightBlack: '#586e75', brightRed: '#cb4b16', brightGreen: '#586e75', brightYellow: '#657b83',
+      brightBlue: '#839496', brightMagenta: '#6c71c4', brightCyan: '#93a1a1', brightWhite: '#fdf6e3',
+    },
+  },
+  {
+    id: 'light',
+    name: 'Manifold Light',
+    type: 'light',
+    ui: {
+      background: '#fafafa', panel: '#f0f0f0', raised: '#ffffff', deep: '#e4e4e4',
+      border: '#d6d6d6', borderSoft: '#e2e2e2', borderStrong: '#c6c6c6',
+      text: '#2a2a2a', textSoft: '#444', textMuted: '#666', textSubtle: '#777', textFaint: '#8a8a8a', textDim: '#a6a6a6',
+      accent: '#c2613f', accentBright: '#d97757',
+      red: '#c01c28', danger: '#d0382b', yellow: '#9a7400', yellowBright: '#b88a00', green: '#3a7d05', blue: '#1c5fa8', cyan: '#06787a',
+    },
+    terminal: {
+      background: '#fafafa', foreground: '#2a2a2a', cursor: '#c2613f', selectionBackground: '#d9775744',
+      black: '#2e3436', red: '#c01c28', green: '#2f7d0a', yellow: '#8c6a00',
+      blue: '#1c5fa8', magenta: '#8e3f9e', cyan: '#06787a', white: '#b8b8b8',
+      brightBlack: '#666', brightRed: '#e0353f', brightGreen: '#3d9b10', brightYellow: '#a88000',
+      brightBlue: '#2f7bd0', brightMagenta: '#a855b8', brightCyan: '#0a9396', brightWhite: '#d0d0d0',
+    },
+  },
+  {
+    id: 'solarized-light',
+    name: 'Solarized Light',
+    type: 'light',
+    ui: {
+      background: '#fdf6e3', panel: '#eee8d5', raised: '#fffbf0', deep: '#e3dcc6',
+      border: '#dbd3bd', borderSoft: '#e6dfca', borderStrong: '#cbc3ab',
+      text: '#586e75', textSoft: '#657b83', textMuted: '#839496', textSubtle: '#93a1a1', textFaint: '#a2acaa', textDim: '#bbbfb5',
+      accent: '#cb4b16', accentBright: '#dc6a3a',
+      red: '#dc322f', danger: '#dc322f', yellow: '#b58900', yellowBright: '#b58900', green: '#859900', blue: '#268bd2', cyan: '#2aa198',
+    },
+    terminal: {
+      background: '#fdf6e3', foreground: '#657b83', cursor: '#586e75', selectionBackground: '#eee8d5',
+      black: '#073642', red: '#dc322f', green: '#859900', yellow: '#b58900',
+      blue: '#268bd2', magenta: '#d33682', cyan: '#2aa198', white: '#eee8d5',
+      brightBlack: '#002b36', brightRed: '#cb4b16', brightGreen: '#586e75', brightYellow: '#657b83',
+      brightBlue: '#839496', brightMagenta: '#6c71c4', brightCyan: '#93a1a1', brightWhite: '#fdf6e3',
+    },
+  },
+];
+
+const DEFAULT_THEME = 'dark';
+
+// Only plain CSS colours: the values end up in style properties and the xterm palette
+const COLOR_RE = /^(#[0-9a-f]{3,8}|rgba?\([\d\s.,%]+\)|hsla?\([\d\s.,%deg]+\))$/i;
+
+function pickColors(source, keys, label, errors) {
+  const colors = {};
+  if (source === undefined) return colors;
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    errors.push(`${label} must be an object of colours`);
+    return colors;
+  }
+  for (const [key, value] of Object.entries(source)) {
+    if (!keys.includes(key)) errors.push(`${label}: unknown colour "${key}"`);
+    else if (typeof value !== 'string' || !COLOR_RE.test(value.trim())) errors.push(`${label}.${key}: "${value}" is not a colour`);
+    else colors[key] = value.trim();
+  }
+  return colors;
+}
+
+// One user theme file → { theme, errors }; theme is null when the file can't be used
+function fromFile(file) {
+  const errors = [];
+  const base = path.basename(file, '.json');
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    return { theme: null, errors: [`${base}.json: ${e.message}`] };
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { theme: null, errors: [`${base}.json must be an object`] };
+  }
+  const type = raw.type === 'light' ? 'light' : 'dark';
+  const parent = BUILTIN.find(t => t.id === (raw.extends || type));
+  if (!parent) errors.push(`${base}.json: unknown theme to extend "${raw.extends}"`);
+  const from = parent || BUILTIN.find(t => t.id === type);
+  const theme = {
+    id: `user:${base}`,
+    name: typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : base,
+    type: raw.type ? type : from.type,
+    ui: { ...from.ui, ...pickColors(raw.ui, Object.keys(UI_VARS), `${base}.json ui`, errors) },
+    terminal: { ...from.terminal, ...pickColors(raw.terminal, TERMINAL_KEYS, `${base}.json terminal`, errors) },
+    user: true,
+  };
+  return { theme, errors };
+}
+
+// Built-in themes followed by the user's, with each theme's CSS variables resolved
+function load(dir) {
+  const themes = BUILTIN.map(t => ({ ...t, user: false }));
+  const errors = [];
+  let files = [];
+  try {
+    files = fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort();
+  } catch (e) {
+    if (e.code !== 'ENOENT') errors.push(`themes folder: ${e.message}`);
+  }
+  for (const f of files) {
+    const result = fromFile(path.join(dir, f));
+    errors.push(...result.errors);
+    if (result.theme) themes.push(result.theme);
+  }
+  for (const theme of themes) {
+    theme.vars = {};
+    for (const [key, cssVar] of Object.entries(UI_VARS)) theme.vars[cssVar] = theme.ui[key];
+    theme.vars['--scheme'] = theme.type; // native controls (time inputs, scrollbars)
+  }
+  return { themes, errors, defaultTheme: DEFAULT_THEME };
+}
+
+module.exports = { load, DEFAULT_THEME };
@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+
+// USD per million tokens. Keys are matched against the model name; the longest match wins.
+const DEFAULT_PRICES = {
+  'opus-4-5': { input: 5, output: 25, cacheWrite: 6.25, cacheRead: 0.5 },
+  'opus': { input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+  'sonnet': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  'haiku-4-5': { input: 1, output: 5, cacheWrite: 1.25, cacheRead: 0.1 },
+  'haiku': { input: 0.8, output: 4, cacheWrite: 1, cacheRead: 0.08 },
+};
+
+const TOKEN_FIELDS = ['input', 'output', 'cacheWrite', 'cacheRead'];
+
+// Parsed usage per conversation file: path -> { mtimeMs, size, usage }
+const fileCache = new Map();
+
+function emptyTotals() {
+  return { input: 0, output: 0, cacheWrite: 0, cacheRead: 0, cost: 0 };
+}
+
+function addTotals(into, from) {
+  for (const f of TOKEN_FIELDS) into[f] += from[f];
+  into.cost += from.cost;
+  return into;
+}
+
+function priceFor(model, prices) {
+  let best = null;
+  for (const key of Object.keys(prices)) {
+    if (model.includes(key) && (!best || key.length > best.length)) best = key;
+  }
+  return best ? prices[best] : null;
+}
+
+// Token counts for one model, priced; unknown models count tokens at no cost
+function priced(tokens, model, prices) {
+  const price = priceFor(model, prices);
+  const totals = { ...emptyTotals(), ...tokens };
+  if (price) {
+    totals.cost = TOKEN_FIELDS.reduce((sum, f) => sum + tokens[f] * (price[f] || 0), 0) / 1e6;
+  }
+  return totals;
+}
+
+function localDay(ms) {
+  const d = new Date(ms);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+}
+
+// { cwd, days: { 'YYYY-MM-DD': { model: { input, output, cacheWrite, cacheRead } } } }
+function parseUsage(raw) {
+  let cwd = null;
+  // A streamed response is logged once per content block, each carrying the same
+  // message id — keep the last copy, which has the final output count
+  const messages = new Map();
+  for (const line of raw.split('\n')) {
+    if (!line) continue;
+    let entry;
+    try { entry = JSON.parse(line); } catch (_) { continue; }
+    if (!cwd && entry.cwd) cwd = entry.cwd;
+    const message = entry.message;
+    if (entry.type !== 'assistant' || !message || !message.usage) continue;
+    if (message.model === '<synthetic>') continue;
+    const t = Date.parse(entry.timestamp);
+    if (!t) continue;
+    messages.set(message.id || entry.uuid, { t, model: message.model || 'unknown', usage: message.usage });
+  }
+
+  const days = {};
+  for (const { t, model, usage } of messages.values()) {
+    const day = localDay(t);
+    const models = days[day] || (days[day] = {});
+    const tokens = models[model] || (models[model] = { input: 0, output: 0, cacheWrite: 0, cacheRead: 0 });
+    tokens.input += usage.input_tokens || 0;
+    tokens.output += usage.output_tokens || 0;
+    tokens.cacheWrite += usage.cache_creation_input_tokens || 0;
+    tokens.cacheRead += usage.cache_read_input_tokens || 0;
+  }
+  return { cwd, days };
+}
+
+async function readFileUsage(file) {
+  const stat = await fs.promises.stat(file);
+  const cached = fileCache.get(file);
+  if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) return cached.usage;
+  const usage = parseUsage(await fs.promises.readFile(file, 'utf-8'));
+  fileCache.set(file, { mtimeMs: stat.mtimeMs, size: stat.size, usage });
+  return usage;
+}
+
+// Totals for a single conversation, across all days
+async function conversationUsage(projectDir, conversationId, prices) {
+  const totals = emptyTotals();
+  try {
+    const { days } = await readFileUsage(path.join(projectDir, conversationId + '.jsonl'));
+    for (const models of Object.values(days)) {
+      for (const [model, tokens] of Object.entries(models)) addTotals(totals, priced(tokens, model, prices));
+    }
+  } catch (_) {}
+  return totals;
+}
+
+async function listConversationFiles(projectsDir) {
+  const files = [];
+  let dirs = [];
+  try { dirs = await fs.promises.readdir(projectsDir); } catch (_) {}
+  for (const dir of dirs) {
+    try {
+      for (const f of await fs.promises.readdir(path.join(projectsDir, dir))) {
+        if (f.endsWith('.jsonl')) files.push(path.join(projectsDir, dir, f));
+      }
+    } catch (_) {}
+  }
+  return files;
+}
+
+// Every conversation's usage in projectsDir between two 'YYYY-MM-DD' days (inclusive),
+// grouped by project cwd and by day
+async function query(projectsDir, { from, to }, prices) {
+  const total = emptyTotals();
+  const byProject = new Map();
+  const byDay = new Map();
+
+  const files = await listConversationFiles(projectsDir);
+  // Forget conversations that have been deleted
+  const present = new Set(files);
+  for (const file of fileCache.keys()) {
+    if (!present.has(file)) fileCache.delete(file);
+  }
+
+  for (const file of files) {
+    let usage;
+    try { usage = await readFileUsage(file); } catch (_) { continue; }
+    const cwd = usage.cwd || path.basename(path.dirname(file));
+    for (const [day, models] of Object.entries(usage.days)) {
+      if ((from && day < from) || (to && day > to)) continue;
+      for (const [model, tokens] of Object.entries(models)) {
+        const totals = priced(tokens, model, prices);
+        addTotals(total, totals);
+        if (!byProject.has(cwd)) byProject.set(cwd, emptyTotals());
+        addTotals(byProject.get(cwd), totals);
+        if (!byDay.has(day)) byDay.set(day, emptyTotals());
+        addTotals(byDay.get(day), totals);
+      }
+    }
+  }
+
+  return {
+    total,
+    byProject: [...byProject].map(([cwd, t]) => ({ cwd, ...t })).sort((a, b) => b.cost - a.cost),
+    byDay: [...byDay].map(([day, t]) => ({ day, ...t })).sort((a, b) => b.day.localeCompare(a.day)),
+  };
+}
+
+module.exports = { query, conversationUsage, DEFAULT_PRICES };